@@ -9,12 +9,58 @@ const CONFIG = {
     ? 'http://localhost:3000/api/health'
     : '/api/health',
 
-  MAX_CHAT_HISTORY: 100,
+  MODELS_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/models'
+    : '/api/models',
+
+  CONVERSATIONS_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/conversations'
+    : '/api/conversations',
+
+  AUTH_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/auth'
+    : '/api/auth',
+
+  KEYS_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/keys'
+    : '/api/keys',
+
+  ATTACHMENTS_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/attachments'
+    : '/api/attachments',
+
+  FEEDBACK_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/feedback'
+    : '/api/feedback',
+
+  SHARES_ENDPOINT: window.location.port === '5500'
+    ? 'http://localhost:3000/api/shares'
+    : '/api/shares',
+
+  STORAGE_WARNING_RATIO: 0.8, // warn when this share of the browser quota is used
+  TAB_SYNC_CHANNEL: 'ai-global-chat',
+  HEALTH_RECHECK_INTERVAL: 30000, // while the service is degraded
   AUTO_SAVE: true,
   DEFAULT_MODEL: 'llama-3.3-70b-versatile',
   DEFAULT_TEMPERATURE: 0.7,
   DEFAULT_STREAM: false,
   MAX_MESSAGE_LENGTH: 4000,
+  MAX_ATTACHMENT_SIZE: 10 * 1024 * 1024,
+  ATTACHMENT_TYPES: ['.txt', '.md', '.pdf', '.docx'],
+  STREAM_RENDER_INTERVAL: 80, // ms between incremental re-renders while streaming
+  SEARCH_DEBOUNCE: 200, // ms after the last keystroke before searching
+  SEARCH_MAX_RESULTS: 50,
+  FEEDBACK_REASONS: {
+    up: { accurate: 'Accurate', helpful: 'Helpful', well_written: 'Well written', other: 'Other' },
+    down: {
+      inaccurate: 'Inaccurate',
+      unhelpful: 'Not helpful',
+      incomplete: 'Incomplete',
+      off_topic: 'Off topic',
+      too_long: 'Too long',
+      other: 'Other',
+    },
+  },
 };
 
 // Log detected configuration
@@ -33,6 +79,17 @@ const Utils = {
     return div.innerHTML;
   },
 
+  formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  },
+
+  formatTokens(count) {
+    if (!count) return '';
+    return count >= 1000 ? `${Math.round(count / 1024)}K` : String(count);
+  },
+
   formatTime(timestamp) {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -52,9 +109,36 @@ const Utils = {
     return new Date(timestamp).toLocaleDateString();
   },
 
+  debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), wait);
+    };
+  },
+
   generateId() {
     return Date.now().toString() + Math.random().toString(36).substr(2, 9);
   },
+
+  // The client id is the only credential for a guest's server-side chats, so it must be unguessable
+  getClientId() {
+    let clientId = Storage.get('clientId');
+    if (!clientId || !/^[\w-]{32,64}$/.test(clientId)) {
+      clientId = crypto.randomUUID();
+      Storage.set('clientId', clientId);
+    }
+    return clientId;
+  },
+
+  getSessionId() {
+    let sessionId = sessionStorage.getItem('sessionId');
+    if (!sessionId) {
+      sessionId = Utils.generateId();
+      sessionStorage.setItem('sessionId', sessionId);
+    }
+    return sessionId;
+  },
 };
 
 // ==================== STORAGE MANAGER ====================
@@ -90,6 +174,260 @@ const Storage = {
   },
 };
 
+// ==================== CHAT STORE ====================
+/**
+ * IndexedDB persistence for chats. Each chat is two records: metadata for the
+ * sidebar (title, timestamp, model) and its message body, which is only read
+ * when the chat is opened. If IndexedDB cannot be opened, chats live in memory
+ * for the session.
+ */
+const ChatStore = {
+  DB_NAME: 'ai-global-chat',
+  DB_VERSION: 1,
+  db: null,
+  ready: null,
+  memory: new Map(),
+  memorySettings: new Map(),
+
+  open() {
+    this.ready = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('chats', { keyPath: 'id' });
+        db.createObjectStore('bodies', { keyPath: 'id' });
+        db.createObjectStore('settings', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then((db) => {
+      this.db = db;
+    });
+
+    return this.ready;
+  },
+
+  // Runs work(tx) in one transaction and resolves with the result of the request it returns
+  async run(storeNames, mode, work) {
+    await this.ready?.catch(() => {});
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeNames, mode);
+      const request = work(tx);
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+  },
+
+  metaOf({ id, title, timestamp, model }) {
+    return { id, title, timestamp, model };
+  },
+
+  async listChats() {
+    await this.ready?.catch(() => {});
+    const chats = this.db
+      ? await this.run('chats', 'readonly', tx => tx.objectStore('chats').getAll())
+      : [...this.memory.values()].map(chat => this.metaOf(chat));
+    return chats.sort((a, b) => b.timestamp - a.timestamp);
+  },
+
+  async getChat(id) {
+    await this.ready?.catch(() => {});
+    if (!this.db) return this.memory.get(id) || null;
+
+    let meta;
+    const body = await this.run(['chats', 'bodies'], 'readonly', (tx) => {
+      tx.objectStore('chats').get(id).onsuccess = (e) => { meta = e.target.result; };
+      return tx.objectStore('bodies').get(id);
+    });
+
+    return meta && body ? { ...meta, tree: body.tree, contextSummary: body.contextSummary || null } : null;
+  },
+
+  async getChats(ids) {
+    const chats = await Promise.all(ids.map(id => this.getChat(id)));
+    return chats.filter(Boolean);
+  },
+
+  /**
+   * With `merge`, branches another tab stored since are folded into each chat's
+   * tree (in place) inside the same transaction, so concurrent saves of one
+   * conversation never drop each other's messages.
+   */
+  async putChats(chats, { merge = false } = {}) {
+    await this.ready?.catch(() => {});
+    if (!this.db) {
+      chats.forEach((chat) => {
+        const stored = this.memory.get(chat.id);
+        if (merge && stored) new MessageTree(chat.tree).merge(new MessageTree(stored.tree));
+        this.memory.set(chat.id, chat);
+      });
+      return;
+    }
+
+    await this.run(['chats', 'bodies'], 'readwrite', (tx) => {
+      const bodies = tx.objectStore('bodies');
+      const put = (chat) => {
+        tx.objectStore('chats').put(this.metaOf(chat));
+        bodies.put({ id: chat.id, tree: chat.tree, contextSummary: chat.contextSummary || null });
+      };
+
+      chats.forEach((chat) => {
+        if (!merge) {
+          put(chat);
+          return;
+        }
+
+        bodies.get(chat.id).onsuccess = (e) => {
+          const stored = e.target.result;
+          if (stored) new MessageTree(chat.tree).merge(new MessageTree(stored.tree));
+          put(chat);
+        };
+      });
+    });
+  },
+
+  async putChat(chat) {
+    return this.putChats([chat]);
+  },
+
+  async deleteChat(id) {
+    await this.ready?.catch(() => {});
+    if (!this.db) {
+      this.memory.delete(id);
+      return;
+    }
+
+    await this.run(['chats', 'bodies'], 'readwrite', (tx) => {
+      tx.objectStore('chats').delete(id);
+      tx.objectStore('bodies').delete(id);
+    });
+  },
+
+  async clearChats() {
+    await this.ready?.catch(() => {});
+    if (!this.db) {
+      this.memory.clear();
+      return;
+    }
+
+    await this.run(['chats', 'bodies'], 'readwrite', (tx) => {
+      tx.objectStore('chats').clear();
+      tx.objectStore('bodies').clear();
+    });
+  },
+
+  async getSetting(key, defaultValue = null) {
+    await this.ready?.catch(() => {});
+    if (!this.db) return this.memorySettings.has(key) ? this.memorySettings.get(key) : defaultValue;
+
+    const record = await this.run('settings', 'readonly', tx => tx.objectStore('settings').get(key));
+    return record ? record.value : defaultValue;
+  },
+
+  async putSetting(key, value) {
+    await this.ready?.catch(() => {});
+    if (!this.db) {
+      this.memorySettings.set(key, value);
+      return;
+    }
+
+    await this.run('settings', 'readwrite', tx => tx.objectStore('settings').put({ key, value }));
+  },
+
+  /**
+   * One-time move of the old localStorage `chats` and `settings` keys.
+   * The keys are removed only after IndexedDB has accepted the data; without
+   * IndexedDB they stay put and are only read into memory.
+   */
+  async migrateFromLocalStorage() {
+    await this.ready?.catch(() => {});
+
+    const chats = Storage.get('chats');
+    const settings = Storage.get('settings');
+
+    if (Array.isArray(chats)) {
+      // Chats saved before branching held a flat message array
+      await this.putChats(chats.map(chat => ({
+        ...this.metaOf(chat),
+        tree: MessageTree.from(chat).toJSON(),
+        contextSummary: chat.contextSummary || null,
+      })));
+      if (this.db) Storage.remove('chats');
+    }
+
+    if (settings) {
+      await this.putSetting('settings', settings);
+      if (this.db) Storage.remove('settings');
+    }
+
+    return Array.isArray(chats) ? chats.length : 0;
+  },
+
+  async estimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota ? { usage, quota, ratio: usage / quota } : null;
+  },
+};
+
+// ==================== TAB SYNC ====================
+/**
+ * Messages between open tabs of the app. Uses BroadcastChannel where
+ * available and falls back to localStorage `storage` events.
+ */
+const TabSync = {
+  tabId: Utils.generateId(),
+  channel: null,
+  opened: false,
+
+  open(onMessage) {
+    this.opened = true;
+    const receive = (message) => {
+      if (message && message.from !== this.tabId) onMessage(message);
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CONFIG.TAB_SYNC_CHANNEL);
+      this.channel.onmessage = e => receive(e.data);
+      return;
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== CONFIG.TAB_SYNC_CHANNEL || !e.newValue) return;
+      try {
+        receive(JSON.parse(e.newValue));
+      } catch {
+        // Written by something else
+      }
+    });
+  },
+
+  post(type, payload = {}) {
+    if (!this.opened) return;
+    const message = { ...payload, type, from: this.tabId };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // Other tabs only see the change, so the key is cleared straight away
+      localStorage.setItem(CONFIG.TAB_SYNC_CHANNEL, JSON.stringify(message));
+      localStorage.removeItem(CONFIG.TAB_SYNC_CHANNEL);
+    } catch (e) {
+      console.warn('⚠️ Could not notify other tabs:', e);
+    }
+  },
+};
+
 // ==================== API CLIENT ====================
 const API = {
   async sendMessage(messages, options = {}) {
@@ -97,20 +435,33 @@ const API = {
       model = CONFIG.DEFAULT_MODEL,
       temperature = CONFIG.DEFAULT_TEMPERATURE,
       stream = CONFIG.DEFAULT_STREAM,
+      summary = null,
+      fresh = false,
+      signal,
     } = options;
 
     console.log('📤 Sending request:', { model, endpoint: CONFIG.API_ENDPOINT });
 
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Session-Id': Utils.getSessionId(),
+      'X-Client-Id': Utils.getClientId(),
+    };
+    // Skip the server's response cache so a regenerated reply is actually new
+    if (fresh) headers['Cache-Control'] = 'no-cache';
+
     const response = await fetch(CONFIG.API_ENDPOINT, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers,
       body: JSON.stringify({
-        messages,
+        messages: messages.map(({ role, content, attachments }) => ({ role, content, attachments })),
         model,
         temperature,
         max_tokens: 2048,
         stream,
+        summary,
       }),
+      signal,
     });
 
     if (!response.ok) {
@@ -121,22 +472,234 @@ const API = {
       } catch (e) {
         errorMessage = `${response.status} ${response.statusText}`;
       }
-      throw new Error(errorMessage);
+      const error = new Error(errorMessage);
+      error.status = response.status;
+      // 503 means every model is failing; its Retry-After is when one is worth trying again
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      if (response.status === 429) {
+        error.retryAfter = retryAfter || 60;
+      } else if (response.status === 503 && retryAfter) {
+        error.retryAfter = retryAfter;
+      }
+      throw error;
     }
 
     return response;
   },
 
+  async uploadAttachment(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await fetch(CONFIG.ATTACHMENTS_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'X-Session-Id': Utils.getSessionId(),
+        'X-Client-Id': Utils.getClientId(),
+      },
+      body: formData,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Upload failed: ${response.status}`);
+    }
+
+    return data;
+  },
+
+  async shareRequest(path = '', options = {}) {
+    const response = await fetch(`${CONFIG.SHARES_ENDPOINT}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': Utils.getClientId(),
+      },
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Share request failed: ${response.status}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  },
+
+  async createShare(share) {
+    return this.shareRequest('', { method: 'POST', body: JSON.stringify(share) });
+  },
+
+  async listShares(conversationId) {
+    const data = await this.shareRequest(`?conversationId=${encodeURIComponent(conversationId)}`);
+    return data.shares;
+  },
+
+  async revokeShare(id) {
+    return this.shareRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  },
+
+  async getModels() {
+    const response = await fetch(CONFIG.MODELS_ENDPOINT, {
+      headers: { 'X-Session-Id': Utils.getSessionId() },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load models: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  async conversationRequest(path = '', options = {}) {
+    const response = await fetch(`${CONFIG.CONVERSATIONS_ENDPOINT}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': Utils.getClientId(),
+      },
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Conversation sync failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  },
+
+  async listConversations() {
+    const data = await this.conversationRequest();
+    return data.conversations;
+  },
+
+  async getConversation(id) {
+    return this.conversationRequest(`/${encodeURIComponent(id)}`);
+  },
+
+  async saveConversation(chat) {
+    return this.conversationRequest(`/${encodeURIComponent(chat.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        title: chat.title,
+        model: chat.model,
+        messages: MessageTree.from(chat).path().map(MessageTree.toMessage),
+        tree: chat.tree,
+        updatedAt: chat.timestamp,
+      }),
+    });
+  },
+
+  async deleteConversation(id) {
+    return this.conversationRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  },
+
+  async authRequest(path, options = {}) {
+    const response = await fetch(`${CONFIG.AUTH_ENDPOINT}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': Utils.getClientId(),
+      },
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Account request failed: ${response.status}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  },
+
+  async getAccount() {
+    return this.authRequest('/me');
+  },
+
+  async signIn(mode, email, password) {
+    return this.authRequest(mode === 'signup' ? '/signup' : '/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+  },
+
+  async signOut() {
+    return this.authRequest('/logout', { method: 'POST' });
+  },
+
+  async saveAccountSettings(settings) {
+    return this.authRequest('/settings', { method: 'PUT', body: JSON.stringify(settings) });
+  },
+
+  async keyRequest(path = '', options = {}) {
+    const response = await fetch(`${CONFIG.KEYS_ENDPOINT}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `API key request failed: ${response.status}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  },
+
+  async listApiKeys() {
+    const data = await this.keyRequest();
+    return data.keys;
+  },
+
+  async createApiKey(request) {
+    return this.keyRequest('', { method: 'POST', body: JSON.stringify(request) });
+  },
+
+  async revokeApiKey(id) {
+    return this.keyRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  },
+
+  async sendFeedback(feedback) {
+    const response = await fetch(CONFIG.FEEDBACK_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Client-Id': Utils.getClientId(),
+      },
+      body: JSON.stringify(feedback),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Feedback failed: ${response.status}`);
+    }
+
+    return data;
+  },
+
+  async deleteFeedback(conversationId, messageId) {
+    const response = await fetch(
+      `${CONFIG.FEEDBACK_ENDPOINT}/${encodeURIComponent(conversationId)}/${encodeURIComponent(messageId)}`,
+      {
+        method: 'DELETE',
+        headers: { 'X-Client-Id': Utils.getClientId() },
+      },
+    );
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Feedback failed: ${response.status}`);
+    }
+  },
+
+  // Resolves to the server's readiness report, or { status: 'unreachable' }
   async checkHealth() {
     try {
       console.log('🏥 Checking health at:', CONFIG.HEALTH_ENDPOINT);
       const response = await fetch(CONFIG.HEALTH_ENDPOINT);
       const data = await response.json();
       console.log('✅ Health check:', data);
-      return response.ok;
+      return data;
     } catch (error) {
       console.error('❌ Health check failed:', error);
-      return false;
+      return { status: 'unreachable' };
     }
   },
 };
@@ -182,6 +745,87 @@ const MessageFormatter = {
   },
 };
 
+// ==================== STREAM RENDERER ====================
+/**
+ * Renders a streaming markdown answer without re-parsing the whole text per token.
+ * Finished blocks (paragraphs, closed code fences) are parsed and highlighted once;
+ * only the open tail is re-rendered, at most every STREAM_RENDER_INTERVAL ms.
+ */
+class StreamRenderer {
+  constructor(contentDiv, { onRender } = {}) {
+    this.contentDiv = contentDiv;
+    this.onRender = onRender;
+    this.text = '';
+    this.committedLength = 0;
+    this.timer = null;
+
+    this.committedEl = document.createElement('div');
+    this.tailEl = document.createElement('div');
+    this.contentDiv.innerHTML = '';
+    this.contentDiv.append(this.committedEl, this.tailEl);
+  }
+
+  append(chunk) {
+    this.text += chunk;
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.render();
+      }, CONFIG.STREAM_RENDER_INTERVAL);
+    }
+  }
+
+  // Last offset after a blank line or closing fence that is not inside a code block
+  findBoundary() {
+    let boundary = this.committedLength;
+    let inFence = false;
+    let position = this.committedLength;
+
+    while (true) {
+      const newline = this.text.indexOf('\n', position);
+      if (newline === -1) break;
+
+      const line = this.text.slice(position, newline);
+      position = newline + 1;
+
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        if (!inFence) boundary = position;
+      } else if (!inFence && line.trim() === '') {
+        boundary = position;
+      }
+    }
+
+    return boundary;
+  }
+
+  render() {
+    const boundary = this.findBoundary();
+
+    if (boundary > this.committedLength) {
+      const block = document.createElement('div');
+      block.innerHTML = MessageFormatter.format(this.text.slice(this.committedLength, boundary));
+      MessageFormatter.highlightCode(block);
+      MessageFormatter.addCopyButtons(block);
+      this.committedEl.append(...block.childNodes);
+      this.committedLength = boundary;
+    }
+
+    this.tailEl.innerHTML = MessageFormatter.format(this.text.slice(this.committedLength));
+    this.onRender?.();
+  }
+
+  // One full parse at the end so blocks split mid-stream (e.g. loose lists) render correctly
+  finish() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.contentDiv.innerHTML = MessageFormatter.format(this.text);
+    MessageFormatter.highlightCode(this.contentDiv);
+    MessageFormatter.addCopyButtons(this.contentDiv);
+    this.onRender?.();
+  }
+}
+
 // ==================== UI MANAGER ====================
 const UI = {
   showToast(message, type = 'success') {
@@ -210,56 +854,891 @@ const UI = {
   },
 };
 
-// ==================== MAIN APPLICATION ====================
-class ChatApp {
-  constructor() {
-    this.currentChatId = null;
-    this.chats = Storage.get('chats', []);
-    this.currentMessages = [];
-    this.settings = Storage.get('settings', {
-      model: CONFIG.DEFAULT_MODEL,
-      temperature: CONFIG.DEFAULT_TEMPERATURE,
-      stream: CONFIG.DEFAULT_STREAM,
-    });
-    this.isTyping = false;
-    this.abortController = null;
+// ==================== MESSAGE TREE ====================
+/**
+ * A conversation stored as a tree: regenerating a reply adds a sibling branch.
+ * The active path (what is shown and sent to the model) follows the selected
+ * child of each node, defaulting to the newest one.
+ */
+class MessageTree {
+  constructor({ nodes = {}, rootIds = [], selected = {} } = {}) {
+    this.nodes = nodes;
+    this.rootIds = rootIds;
+    this.selected = selected;
+  }
 
-    this.init();
+  static fromMessages(messages = []) {
+    const tree = new MessageTree();
+    messages.forEach(message => tree.append({ ...message }));
+    return tree;
   }
 
-  init() {
-    this.setupEventListeners();
-    this.loadChatHistory();
-    this.checkHealth();
-    this.initMarkdown();
+  static from(chat) {
+    return chat.tree ? new MessageTree(chat.tree) : MessageTree.fromMessages(chat.messages);
   }
 
-  initMarkdown() {
-    if (typeof marked !== 'undefined') {
-      marked.setOptions({
-        breaks: true,
-        gfm: true,
-        headerIds: false,
-      });
-    }
+  // Drops the tree bookkeeping fields, leaving the plain message
+  static toMessage({ parentId, children, ...message }) {
+    return message;
   }
 
-  setupEventListeners() {
-    const messageInput = document.getElementById('messageInput');
-    const sendBtn = document.getElementById('sendBtn');
+  get isEmpty() {
+    return this.rootIds.length === 0;
+  }
 
-    sendBtn.addEventListener('click', () => this.sendMessage());
-    messageInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        this.sendMessage();
-      }
+  childrenOf(parentId) {
+    return parentId ? this.nodes[parentId]?.children || [] : this.rootIds;
+  }
+
+  activeChild(parentId) {
+    const children = this.childrenOf(parentId);
+    const selected = this.selected[parentId || 'root'];
+    return children.includes(selected) ? selected : children[children.length - 1];
+  }
+
+  path() {
+    const path = [];
+    let id = this.activeChild(null);
+    while (id) {
+      path.push(this.nodes[id]);
+      id = this.activeChild(id);
+    }
+    return path;
+  }
+
+  // Messages from the root down to (and including) the given node
+  pathTo(id) {
+    const path = [];
+    for (let node = this.nodes[id]; node; node = this.nodes[node.parentId]) {
+      path.unshift(node);
+    }
+    return path;
+  }
+
+  leaf() {
+    const path = this.path();
+    return path[path.length - 1] || null;
+  }
+
+  add(parentId, message) {
+    const node = { ...message, id: message.id || Utils.generateId(), parentId: parentId || null, children: [] };
+    this.nodes[node.id] = node;
+    this.childrenOf(parentId).push(node.id);
+    this.selected[parentId || 'root'] = node.id;
+    return node;
+  }
+
+  append(message) {
+    return this.add(this.leaf()?.id, message);
+  }
+
+  siblings(id) {
+    const ids = this.childrenOf(this.nodes[id]?.parentId);
+    return { ids, index: ids.indexOf(id), count: ids.length };
+  }
+
+  select(id) {
+    const node = this.nodes[id];
+    if (node) this.selected[node.parentId || 'root'] = id;
+  }
+
+  // Selects every branch leading to the node so it is on the active path
+  reveal(id) {
+    for (let node = this.nodes[id]; node; node = this.nodes[node.parentId]) {
+      this.select(node.id);
+    }
+  }
+
+  // Adds branches that only exist in the other copy; nodes both copies have are kept as ours
+  merge(other) {
+    Object.values(other.nodes).forEach((node) => {
+      if (!this.nodes[node.id]) this.nodes[node.id] = { ...node, children: [] };
+    });
+
+    const union = (ids, extra) => extra.forEach((id) => {
+      if (this.nodes[id] && !ids.includes(id)) ids.push(id);
+    });
+    union(this.rootIds, other.rootIds);
+    Object.values(other.nodes).forEach(node => union(this.nodes[node.id].children, node.children));
+
+    return this;
+  }
+
+  toJSON() {
+    return { nodes: this.nodes, rootIds: this.rootIds, selected: this.selected };
+  }
+}
+
+// ==================== CHAT SEARCH ====================
+/**
+ * Inverted index over chat titles and every message in every branch.
+ * Chats are re-indexed only when their timestamp changes, so searching
+ * stays cheap with hundreds of conversations.
+ */
+class ChatSearchIndex {
+  constructor() {
+    this.docs = new Map(); // chatId -> { id, title, timestamp, models, messages, tokens }
+    this.postings = new Map(); // token -> Map(chatId -> Set of message ids, 'title' for the title)
+  }
+
+  static tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  // Chats are metadata records; bodies are loaded only for chats that changed
+  async sync(chats, loadChat) {
+    const ids = new Set(chats.map(chat => chat.id));
+    [...this.docs.keys()].filter(id => !ids.has(id)).forEach(id => this.remove(id));
+
+    const stale = chats.filter(chat => this.docs.get(chat.id)?.timestamp !== chat.timestamp);
+    const loaded = await Promise.all(stale.map(chat => loadChat(chat.id)));
+    loaded.filter(Boolean).forEach(chat => this.add(chat));
+  }
+
+  add(chat) {
+    this.remove(chat.id);
+
+    const messages = new Map();
+    const models = new Set(chat.model ? [chat.model] : []);
+    const doc = { id: chat.id, title: chat.title || 'New Chat', timestamp: chat.timestamp, models, messages, tokens: new Set() };
+
+    const post = (key, text) => {
+      ChatSearchIndex.tokenize(text).forEach((token) => {
+        if (!this.postings.has(token)) this.postings.set(token, new Map());
+        const byChat = this.postings.get(token);
+        if (!byChat.has(chat.id)) byChat.set(chat.id, new Set());
+        byChat.get(chat.id).add(key);
+        doc.tokens.add(token);
+      });
+    };
+
+    post('title', doc.title);
+    Object.values(MessageTree.from(chat).nodes).forEach((message) => {
+      messages.set(message.id, message);
+      if (message.model) models.add(message.model);
+      post(message.id, message.content);
+    });
+
+    this.docs.set(chat.id, doc);
+  }
+
+  remove(chatId) {
+    const doc = this.docs.get(chatId);
+    if (!doc) return;
+
+    doc.tokens.forEach((token) => {
+      const byChat = this.postings.get(token);
+      byChat.delete(chatId);
+      if (byChat.size === 0) this.postings.delete(token);
+    });
+    this.docs.delete(chatId);
+  }
+
+  models() {
+    const models = new Set();
+    this.docs.forEach(doc => doc.models.forEach(model => models.add(model)));
+    return [...models].sort();
+  }
+
+  // Chats containing any indexed word that starts with the term
+  lookup(term) {
+    const matches = new Map();
+    this.postings.forEach((byChat, token) => {
+      if (!token.startsWith(term)) return;
+      byChat.forEach((keys, chatId) => {
+        if (!matches.has(chatId)) matches.set(chatId, new Set());
+        keys.forEach(key => matches.get(chatId).add(key));
+      });
+    });
+    return matches;
+  }
+
+  /**
+   * Every term must appear somewhere in a chat (title or any message).
+   * Each result points at the message matching the most terms.
+   */
+  search(query, { model = '', from = null, to = null } = {}) {
+    const terms = [...new Set(ChatSearchIndex.tokenize(query))];
+    const docs = [...this.docs.values()].filter(doc => (!model || doc.models.has(model))
+      && (from === null || doc.timestamp >= from)
+      && (to === null || doc.timestamp < to));
+
+    if (terms.length === 0) {
+      return docs
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, CONFIG.SEARCH_MAX_RESULTS)
+        .map(doc => ({ chatId: doc.id, title: doc.title, timestamp: doc.timestamp, terms }));
+    }
+
+    const hits = terms.map(term => this.lookup(term));
+    const results = [];
+
+    docs.forEach((doc) => {
+      const perTerm = hits.map(hit => hit.get(doc.id));
+      if (perTerm.some(keys => !keys)) return;
+
+      const counts = new Map();
+      perTerm.forEach(keys => keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+
+      let messageId = null;
+      let best = 0;
+      counts.forEach((count, key) => {
+        if (key !== 'title' && count > best) {
+          messageId = key;
+          best = count;
+        }
+      });
+
+      results.push({
+        chatId: doc.id,
+        title: doc.title,
+        timestamp: doc.timestamp,
+        messageId,
+        snippet: messageId ? ChatSearchIndex.snippet(doc.messages.get(messageId).content, terms) : null,
+        matches: counts.size - (counts.has('title') ? 1 : 0),
+        score: (counts.get('title') || 0) * 2 + best,
+        terms,
+      });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+      .slice(0, CONFIG.SEARCH_MAX_RESULTS);
+  }
+
+  // Terms are letters and digits only, so they need no regex escaping
+  static termPattern(terms) {
+    return new RegExp(`(${terms.join('|')})`, 'giu');
+  }
+
+  // Escapes text and wraps term matches in <mark>
+  static highlight(text, terms) {
+    if (terms.length === 0) return Utils.escapeHtml(text);
+
+    return text.split(ChatSearchIndex.termPattern(terms))
+      .map((part, i) => (i % 2 === 1 ? `<mark>${Utils.escapeHtml(part)}</mark>` : Utils.escapeHtml(part)))
+      .join('');
+  }
+
+  static snippet(content, terms, radius = 60) {
+    const text = content.replace(/\s+/g, ' ');
+    const match = ChatSearchIndex.termPattern(terms).exec(text);
+    const index = match ? match.index : 0;
+
+    const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, index - radius)) + 1);
+    const end = Math.min(text.length, index + radius * 2);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+}
+
+// ==================== CHAT ARCHIVE ====================
+/**
+ * Import and export of saved chats.
+ * JSON exports carry a schemaVersion: 1 had flat message arrays, 2 stores message trees.
+ * Markdown, HTML and PDF exports show the active branch of each chat.
+ */
+const ChatArchive = {
+  SCHEMA_VERSION: 2,
+
+  toJson(chats, settings) {
+    return JSON.stringify({
+      schemaVersion: this.SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      chats,
+      settings,
+    }, null, 2);
+  },
+
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not valid JSON');
+    }
+
+    // Exports made before versioning have no schemaVersion
+    const version = data?.schemaVersion ?? 1;
+    if (version > this.SCHEMA_VERSION) {
+      throw new Error('This file was exported by a newer version of the app');
+    }
+
+    if (!Array.isArray(data?.chats)) {
+      throw new Error('No chats found in this file');
+    }
+
+    return data.chats.filter(chat => this.isValidChat(chat)).map(chat => ({
+      id: chat.id,
+      title: typeof chat.title === 'string' ? chat.title : 'Imported chat',
+      tree: MessageTree.from(chat).toJSON(),
+      timestamp: Number(chat.timestamp) || Date.now(),
+      model: typeof chat.model === 'string' ? chat.model : CONFIG.DEFAULT_MODEL,
+      contextSummary: chat.contextSummary || null,
+    }));
+  },
+
+  isValidChat(chat) {
+    const isMessage = msg => msg && ['user', 'assistant'].includes(msg.role) && typeof msg.content === 'string';
+
+    if (!chat || typeof chat.id !== 'string' || !/^[\w-]{1,64}$/.test(chat.id)) return false;
+    if (chat.tree) {
+      return typeof chat.tree.nodes === 'object' && Array.isArray(chat.tree.rootIds)
+        && Object.values(chat.tree.nodes).every(node => isMessage(node) && Array.isArray(node.children));
+    }
+    return Array.isArray(chat.messages) && chat.messages.every(isMessage);
+  },
+
+  messagesOf(chat) {
+    return MessageTree.from(chat).path();
+  },
+
+  describe(chat) {
+    return [new Date(chat.timestamp).toLocaleString(), chat.model].filter(Boolean).join(' · ');
+  },
+
+  toMarkdown(chats) {
+    return chats.map((chat) => {
+      const messages = this.messagesOf(chat).map((msg) => {
+        const sources = msg.sources?.length
+          ? `\n\n_Sources: ${msg.sources.map(source => source.title).join(', ')}_`
+          : '';
+        return `**${msg.role === 'user' ? 'You' : 'Assistant'}:**\n\n${msg.content}${sources}`;
+      });
+
+      return `# ${chat.title}\n\n_${this.describe(chat)}_\n\n${messages.join('\n\n')}\n`;
+    }).join('\n---\n\n');
+  },
+
+  // Raw HTML inside messages is escaped so exported files never run embedded markup
+  formatContent(content) {
+    if (typeof marked !== 'undefined' && marked.Marked) {
+      this.markdown = this.markdown || new marked.Marked({
+        gfm: true,
+        breaks: true,
+        renderer: {
+          html(token) {
+            return Utils.escapeHtml(typeof token === 'string' ? token : token.text);
+          },
+        },
+      });
+      return this.markdown.parse(content);
+    }
+    return Utils.escapeHtml(content).replace(/\n/g, '<br>');
+  },
+
+  toHtml(chats, title) {
+    const articles = chats.map(chat => `
+      <article class="chat">
+        <h1>${Utils.escapeHtml(chat.title)}</h1>
+        <p class="meta">${Utils.escapeHtml(this.describe(chat))}</p>
+        ${this.messagesOf(chat).map(msg => `
+          <section class="message ${msg.role}">
+            <div class="role">${msg.role === 'user' ? 'You' : 'Assistant'}</div>
+            <div class="content">${this.formatContent(msg.content)}</div>
+            ${msg.sources?.length ? `<p class="sources">Sources: ${msg.sources.map(source => Utils.escapeHtml(source.title)).join(', ')}</p>` : ''}
+          </section>
+        `).join('')}
+      </article>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${Utils.escapeHtml(title)}</title>
+<style>
+  body { font-family: Inter, -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; background: #fff; line-height: 1.6; margin: 0; }
+  .chat { max-width: 48rem; margin: 0 auto; padding: 2.5rem 1.5rem; }
+  .chat + .chat { border-top: 1px solid #d0d7de; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  .meta { color: #656d76; font-size: 0.85rem; margin: 0 0 2rem; }
+  .message { margin-bottom: 1.5rem; padding: 1rem 1.25rem; border-radius: 0.75rem; break-inside: avoid; }
+  .message.user { background: #f6f8fa; }
+  .message.assistant { border: 1px solid #d0d7de; }
+  .role { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #656d76; margin-bottom: 0.5rem; }
+  .content > :first-child { margin-top: 0; }
+  .content > :last-child { margin-bottom: 0; }
+  pre { background: #f6f8fa; padding: 0.75rem; border-radius: 0.5rem; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.875em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d0d7de; padding: 0.375rem 0.75rem; }
+  .sources { color: #656d76; font-size: 0.8rem; margin: 0.75rem 0 0; }
+  @media print {
+    .chat { padding: 0; }
+    .chat + .chat { border: none; break-before: page; }
+  }
+</style>
+</head>
+<body>
+${articles}
+</body>
+</html>`;
+  },
+
+  download(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Prints the HTML export from a hidden frame; the browser's dialog saves it as PDF
+  printPdf(html) {
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.srcdoc = html;
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    };
+    document.body.appendChild(frame);
+  },
+
+  filename(chats, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    if (chats.length === 1) {
+      const slug = chats[0].title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 40);
+      return `ai-global-chat-${slug || 'untitled'}-${date}.${extension}`;
+    }
+    return `ai-global-chats-${date}.${extension}`;
+  },
+};
+
+// ==================== MAIN APPLICATION ====================
+class ChatApp {
+  constructor() {
+    this.currentChatId = null;
+    this.chats = [];
+    this.currentMessages = new MessageTree();
+    this.settings = this.defaultSettings();
+    this.user = null;
+    this.isTyping = false;
+    this.abortController = null;
+    this.rateLimitTimer = null;
+    this.rateLimitedUntil = null;
+    this.pendingSync = Storage.get('pendingSync', { upserts: [], deletes: [] });
+    this.models = [];
+    this.contextSummary = null;
+    this.pendingAttachments = [];
+    this.searchIndex = new ChatSearchIndex();
+    this.storageWarned = false;
+    this.otherTabs = new Map(); // tabId -> chat open in that tab
+    this.updateStorageUsage = Utils.debounce(() => this.renderStorageUsage(), 2000);
+
+    this.init();
+  }
+
+  defaultSettings() {
+    return {
+      model: CONFIG.DEFAULT_MODEL,
+      temperature: CONFIG.DEFAULT_TEMPERATURE,
+      stream: CONFIG.DEFAULT_STREAM,
+    };
+  }
+
+  async init() {
+    this.setupEventListeners();
+    this.initMarkdown();
+    this.checkHealth();
+
+    await this.loadLocalData();
+    this.setupTabSync();
+    await this.loadAccount();
+
+    this.applySettingsToUI();
+    this.loadChatHistory();
+    this.loadModels();
+    this.syncFromServer();
+  }
+
+  async loadLocalData() {
+    try {
+      await ChatStore.open();
+      // Ask the browser not to evict chats under storage pressure
+      navigator.storage?.persist?.().catch(() => {});
+    } catch (error) {
+      console.error('❌ Chat storage unavailable:', error);
+      UI.showToast('Chats cannot be saved in this browser and will be lost when you close the tab', 'error');
+    }
+
+    const migrated = await ChatStore.migrateFromLocalStorage();
+    if (migrated > 0 && ChatStore.db) {
+      console.log(`📦 Moved ${migrated} chats to IndexedDB`);
+    }
+
+    this.settings = await ChatStore.getSetting('settings', this.settings);
+    this.chats = await ChatStore.listChats();
+    this.renderStorageUsage();
+  }
+
+  async renderStorageUsage() {
+    const indicator = document.getElementById('storageUsage');
+    const estimate = await ChatStore.estimate().catch(() => null);
+    if (!indicator || !estimate) return;
+
+    const warning = estimate.ratio >= CONFIG.STORAGE_WARNING_RATIO;
+    indicator.hidden = false;
+    indicator.classList.toggle('warning', warning);
+    indicator.querySelector('.storage-bar span').style.width = `${Math.min(100, estimate.ratio * 100).toFixed(1)}%`;
+    indicator.querySelector('.storage-text').textContent = `${Utils.formatFileSize(estimate.usage)} of ${Utils.formatFileSize(estimate.quota)} used`;
+
+    if (warning && !this.storageWarned) {
+      this.storageWarned = true;
+      UI.showToast('Browser storage is almost full. Export or delete old chats to avoid losing new ones.', 'error');
+    }
+  }
+
+  // Writes chats locally, surfacing quota errors instead of dropping data silently
+  async persistChats(chats, options) {
+    try {
+      await ChatStore.putChats(chats, options);
+      this.updateStorageUsage();
+      TabSync.post('chats-saved', { chats: chats.map(chat => ChatStore.metaOf(chat)) });
+      return true;
+    } catch (error) {
+      console.error('❌ Storage error:', error);
+      if (error?.name === 'QuotaExceededError') {
+        document.getElementById('storageUsage')?.classList.add('warning');
+        UI.showToast('Browser storage is full. This chat was not saved locally. Export or delete old chats.', 'error');
+      } else {
+        UI.showToast('Could not save chat locally', 'error');
+      }
+      return false;
+    }
+  }
+
+  upsertChatMeta(chat) {
+    const meta = ChatStore.metaOf(chat);
+    const index = this.chats.findIndex(c => c.id === chat.id);
+    if (index >= 0) {
+      this.chats[index] = meta;
+    } else {
+      this.chats.push(meta);
+    }
+    this.chats.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  setupTabSync() {
+    TabSync.open(message => this.handleTabMessage(message));
+    TabSync.post('hello');
+    this.announceOpenChat();
+    window.addEventListener('pagehide', () => TabSync.post('closed'));
+  }
+
+  // Tells other tabs which conversation is open here
+  announceOpenChat() {
+    TabSync.post('viewing', { chatId: this.currentChatId });
+    this.updateTabConflictBanner();
+  }
+
+  async handleTabMessage(message) {
+    switch (message.type) {
+      case 'hello':
+        this.announceOpenChat();
+        break;
+      case 'viewing':
+        this.otherTabs.set(message.from, message.chatId);
+        this.updateTabConflictBanner();
+        break;
+      case 'closed':
+        this.otherTabs.delete(message.from);
+        this.updateTabConflictBanner();
+        break;
+      case 'chats-saved':
+        message.chats.forEach((meta) => {
+          const local = this.chats.find(c => c.id === meta.id);
+          if (!local || meta.timestamp > local.timestamp) this.upsertChatMeta(meta);
+        });
+        this.loadChatHistory();
+        if (message.chats.some(meta => meta.id === this.currentChatId)) {
+          await this.mergeCurrentChat();
+        }
+        break;
+      case 'chat-deleted':
+        this.chats = this.chats.filter(c => c.id !== message.chatId);
+        this.loadChatHistory();
+        if (message.chatId === this.currentChatId && !this.isTyping) {
+          this.currentChatId = null; // so newChat doesn't save it back
+          this.newChat(false);
+          UI.showToast('This chat was deleted in another tab', 'error');
+        }
+        break;
+      case 'chats-cleared':
+        this.chats = [];
+        this.loadChatHistory();
+        if (!this.isTyping) {
+          this.currentChatId = null;
+          this.newChat(false);
+        }
+        break;
+      case 'settings':
+        this.settings = message.settings;
+        this.applySettingsToUI();
+        break;
+      case 'account':
+        // Signed in or out elsewhere: local chats now belong to someone else
+        window.location.reload();
+        break;
+    }
+  }
+
+  // Pulls in branches another tab added to the open chat, keeping this tab's position
+  async mergeCurrentChat() {
+    const chatId = this.currentChatId;
+    const stored = await ChatStore.getChat(chatId);
+    if (!stored || this.currentChatId !== chatId) return;
+
+    const before = Object.keys(this.currentMessages.nodes).length;
+    this.currentMessages.merge(new MessageTree(stored.tree));
+    if (Object.keys(this.currentMessages.nodes).length === before) return;
+
+    if (!this.isTyping) this.renderConversation();
+    UI.showToast('This conversation was updated in another tab', 'success');
+  }
+
+  updateTabConflictBanner() {
+    const banner = document.getElementById('tabConflictBanner');
+    if (!banner) return;
+
+    const openElsewhere = !this.currentMessages.isEmpty
+      && [...this.otherTabs.values()].includes(this.currentChatId);
+    banner.hidden = !openElsewhere;
+  }
+
+  async loadModels() {
+    const list = document.getElementById('modelList');
+
+    try {
+      const catalog = await API.getModels();
+      this.models = catalog.data || [];
+      this.renderModelList();
+
+      const current = this.models.find(m => m.id === this.settings.model);
+      if (!current || current.available === false) {
+        const fallback = this.models.find(m => m.id === catalog.defaultModel && m.available !== false)
+          || this.models.find(m => m.available !== false);
+        if (fallback) {
+          if (current) {
+            UI.showToast(`${current.name} is no longer available. Switched to ${fallback.name}`, 'error');
+          }
+          this.settings.model = fallback.id;
+          this.saveSettings();
+          this.renderModelList();
+        }
+      }
+    } catch (error) {
+      console.error('❌ Model catalog error:', error);
+      if (list) {
+        list.innerHTML = '<p class="model-list-status">Could not load models. Using your last selection.</p>';
+      }
+    }
+
+    this.updateModelLabel();
+  }
+
+  renderModelList() {
+    const list = document.getElementById('modelList');
+    if (!list) return;
+
+    if (this.models.length === 0) {
+      list.innerHTML = '<p class="model-list-status">No models available.</p>';
+      return;
+    }
+
+    const speedLabels = { fastest: 'Fastest', fast: 'Fast' };
+
+    list.innerHTML = this.models.map((model) => {
+      const badges = [];
+      if (model.recommended) badges.push('Recommended');
+      if (speedLabels[model.speed]) badges.push(speedLabels[model.speed]);
+      if (model.available === false) badges.push('Unavailable');
+
+      const details = [model.description, model.contextWindow && `${Utils.formatTokens(model.contextWindow)} context`]
+        .filter(Boolean)
+        .join(' · ');
+
+      const classes = ['model-option'];
+      if (model.id === this.settings.model) classes.push('active');
+      if (model.available === false) classes.push('disabled');
+
+      return `
+        <div class="${classes.join(' ')}" data-model="${Utils.escapeHtml(model.id)}">
+          <div class="model-info">
+            <h3>${Utils.escapeHtml(model.name)}</h3>
+            <p>${Utils.escapeHtml(details)}</p>
+          </div>
+          <div class="model-badges">
+            ${badges.map(badge => `<div class="model-badge">${badge}</div>`).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  selectModel(modelId) {
+    const model = this.models.find(m => m.id === modelId);
+    if (!model || model.available === false) return;
+
+    this.settings.model = model.id;
+    this.saveSettings();
+    this.renderModelList();
+    this.updateModelLabel();
+    UI.hideModal('modelModal');
+    UI.showToast(`Switched to ${model.name}`, 'success');
+  }
+
+  updateModelLabel() {
+    const label = document.getElementById('currentModel');
+    if (!label) return;
+
+    const model = this.models.find(m => m.id === this.settings.model);
+    label.textContent = model ? model.name : this.settings.model;
+  }
+
+  savePendingSync() {
+    Storage.set('pendingSync', this.pendingSync);
+  }
+
+  markPending(type, chatId) {
+    const other = type === 'upserts' ? 'deletes' : 'upserts';
+    this.pendingSync[other] = this.pendingSync[other].filter(id => id !== chatId);
+    if (!this.pendingSync[type].includes(chatId)) {
+      this.pendingSync[type].push(chatId);
+    }
+    this.savePendingSync();
+  }
+
+  clearPending(chatId) {
+    this.pendingSync.upserts = this.pendingSync.upserts.filter(id => id !== chatId);
+    this.pendingSync.deletes = this.pendingSync.deletes.filter(id => id !== chatId);
+    this.savePendingSync();
+  }
+
+  async syncChat(chat) {
+    try {
+      await API.saveConversation(chat);
+      this.clearPending(chat.id);
+    } catch (error) {
+      console.warn('⚠️ Chat saved locally only:', error.message);
+      this.markPending('upserts', chat.id);
+    }
+  }
+
+  async syncDelete(chatId) {
+    try {
+      await API.deleteConversation(chatId);
+      this.clearPending(chatId);
+    } catch (error) {
+      if (error.status === 404) {
+        this.clearPending(chatId);
+      } else {
+        this.markPending('deletes', chatId);
+      }
+    }
+  }
+
+  async flushPendingSync() {
+    for (const chatId of [...this.pendingSync.deletes]) {
+      await this.syncDelete(chatId);
+    }
+    for (const chatId of [...this.pendingSync.upserts]) {
+      const chat = await ChatStore.getChat(chatId);
+      if (chat) {
+        await this.syncChat(chat);
+      } else {
+        this.clearPending(chatId);
+      }
+    }
+  }
+
+  async syncFromServer() {
+    try {
+      await this.flushPendingSync();
+      const remote = await API.listConversations();
+      const remoteIds = new Set(remote.map(c => c.id));
+      const pulled = [];
+
+      for (const summary of remote) {
+        const local = this.chats.find(c => c.id === summary.id);
+        if (local && local.timestamp >= summary.updatedAt) continue;
+
+        const conversation = await API.getConversation(summary.id);
+        const chatData = {
+          id: conversation.id,
+          title: conversation.title,
+          tree: MessageTree.from(conversation).toJSON(),
+          timestamp: conversation.updatedAt,
+          model: conversation.model,
+        };
+
+        pulled.push(chatData);
+      }
+
+      // Chats created while offline before sync existed
+      for (const meta of this.chats.filter(c => !remoteIds.has(c.id))) {
+        const chat = await ChatStore.getChat(meta.id);
+        if (chat) await this.syncChat(chat);
+      }
+
+      if (pulled.length > 0 && await this.persistChats(pulled)) {
+        pulled.forEach(chat => this.upsertChatMeta(chat));
+        this.loadChatHistory();
+      }
+    } catch (error) {
+      console.warn('⚠️ Offline, using local chat history:', error.message);
+    }
+  }
+
+  initMarkdown() {
+    if (typeof marked !== 'undefined') {
+      marked.setOptions({
+        breaks: true,
+        gfm: true,
+        headerIds: false,
+      });
+    }
+  }
+
+  applySettingsToUI() {
+    const slider = document.getElementById('temperatureSlider');
+    const streamToggle = document.getElementById('streamToggle');
+
+    if (slider) {
+      slider.value = this.settings.temperature;
+      document.getElementById('temperatureValue').textContent = this.settings.temperature;
+    }
+    if (streamToggle) {
+      streamToggle.checked = !!this.settings.stream;
+    }
+
+    this.updateModelLabel();
+  }
+
+  setupEventListeners() {
+    const messageInput = document.getElementById('messageInput');
+    const sendBtn = document.getElementById('sendBtn');
+
+    sendBtn.addEventListener('click', () => this.sendMessage());
+    document.getElementById('stopBtn')?.addEventListener('click', () => this.stopGeneration());
+    messageInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.sendMessage();
+      }
     });
 
     messageInput.addEventListener('input', (e) => {
       e.target.style.height = 'auto';
       e.target.style.height = Math.min(e.target.scrollHeight, 200) + 'px';
-      sendBtn.disabled = !e.target.value.trim();
+      const rateLimited = this.rateLimitedUntil && Date.now() < this.rateLimitedUntil;
+      sendBtn.disabled = !e.target.value.trim() || rateLimited;
     });
 
     document.getElementById('newChatBtn')?.addEventListener('click', () => this.newChat());
@@ -268,18 +1747,46 @@ class ChatApp {
 
     document.getElementById('modelSelector')?.addEventListener('click', () => UI.showModal('modelModal'));
     document.getElementById('closeModelModal')?.addEventListener('click', () => UI.hideModal('modelModal'));
-    document.getElementById('userMenuBtn')?.addEventListener('click', () => UI.showModal('userModal'));
-
-    document.querySelectorAll('.model-option').forEach((option) => {
-      option.addEventListener('click', (e) => {
-        const model = e.currentTarget.dataset.model;
-        this.settings.model = model;
-        this.saveSettings();
-        document.querySelectorAll('.model-option').forEach(opt => opt.classList.remove('active'));
-        e.currentTarget.classList.add('active');
-        UI.hideModal('modelModal');
-        UI.showToast(`Switched to ${model}`, 'success');
-      });
+    document.getElementById('userMenuBtn')?.addEventListener('click', () => {
+      UI.showModal('userModal');
+      if (this.user) this.loadAccount();
+    });
+    document.getElementById('authForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitAuth('login');
+    });
+    document.getElementById('signUpBtn')?.addEventListener('click', () => this.submitAuth('signup'));
+    document.getElementById('signOutBtn')?.addEventListener('click', () => this.signOut());
+    document.getElementById('apiKeysBtn')?.addEventListener('click', () => this.openApiKeysModal());
+    document.getElementById('closeApiKeysModal')?.addEventListener('click', () => UI.hideModal('apiKeysModal'));
+    document.getElementById('createApiKeyBtn')?.addEventListener('click', () => this.createApiKey());
+    document.getElementById('copyApiKeyBtn')?.addEventListener('click', () => {
+      navigator.clipboard?.writeText(document.querySelector('#newApiKey input').value)
+        .then(() => UI.showToast('Key copied', 'success'))
+        .catch(() => UI.showToast('Select the key and copy it', 'error'));
+    });
+    document.getElementById('apiKeyList')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-key-id]');
+      if (button) this.revokeApiKey(button.dataset.keyId);
+    });
+    document.getElementById('shareBtn')?.addEventListener('click', () => this.openShareModal());
+    document.getElementById('closeShareModal')?.addEventListener('click', () => UI.hideModal('shareModal'));
+    document.getElementById('createShareBtn')?.addEventListener('click', () => this.createShareLink());
+
+    document.getElementById('shareLinks')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-share-action]');
+      if (!button) return;
+
+      if (button.dataset.shareAction === 'copy') {
+        this.copyShareLink(button.dataset.url);
+      } else if (button.dataset.shareAction === 'revoke') {
+        this.revokeShareLink(button.dataset.id);
+      }
+    });
+
+    document.getElementById('modelList')?.addEventListener('click', (e) => {
+      const option = e.target.closest('.model-option');
+      if (option) this.selectModel(option.dataset.model);
     });
 
     document.getElementById('temperatureSlider')?.addEventListener('input', (e) => {
@@ -296,8 +1803,55 @@ class ChatApp {
     document.getElementById('attachBtn')?.addEventListener('click', () => {
       document.getElementById('fileInput')?.click();
     });
-
-    document.getElementById('exportBtn')?.addEventListener('click', () => this.exportChats());
+
+    const runSearch = Utils.debounce(() => this.loadChatHistory(), CONFIG.SEARCH_DEBOUNCE);
+    document.getElementById('searchChats')?.addEventListener('input', runSearch);
+    document.getElementById('searchChats')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.target.value = '';
+        this.loadChatHistory();
+      }
+    });
+
+    document.getElementById('searchFilterBtn')?.addEventListener('click', () => {
+      const filters = document.getElementById('searchFilters');
+      filters.hidden = !filters.hidden;
+      if (!filters.hidden) this.renderSearchModelOptions();
+    });
+
+    ['searchModel', 'searchFrom', 'searchTo'].forEach((id) => {
+      document.getElementById(id)?.addEventListener('change', () => this.loadChatHistory());
+    });
+
+    document.getElementById('fileInput')?.addEventListener('change', (e) => {
+      [...e.target.files].forEach(file => this.attachFile(file));
+      e.target.value = '';
+    });
+
+    document.getElementById('attachmentChips')?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.attachment-chip-remove');
+      if (removeBtn) this.removeAttachment(removeBtn.dataset.key);
+    });
+
+    document.getElementById('exportBtn')?.addEventListener('click', () => {
+      UI.hideModal('userModal');
+      UI.showModal('exportModal');
+    });
+    document.getElementById('closeExportModal')?.addEventListener('click', () => UI.hideModal('exportModal'));
+    document.querySelectorAll('#exportModal [data-format]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.exportChats(button.dataset.format, document.getElementById('exportScope').value);
+      });
+    });
+
+    document.getElementById('importBtn')?.addEventListener('click', () => {
+      document.getElementById('importInput')?.click();
+    });
+    document.getElementById('importInput')?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importChats(file);
+      e.target.value = '';
+    });
     document.getElementById('clearAllBtn')?.addEventListener('click', () => this.clearAll());
 
     document.querySelectorAll('.modal-overlay').forEach((overlay) => {
@@ -306,19 +1860,114 @@ class ChatApp {
       });
     });
 
+    window.addEventListener('online', () => {
+      this.checkHealth();
+      this.syncFromServer();
+    });
+    document.getElementById('serviceRetryBtn')?.addEventListener('click', () => this.checkHealth());
+
     document.addEventListener('keydown', (e) => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
         e.preventDefault();
         this.newChat();
       }
+      if (e.key === 'Escape' && this.isTyping) {
+        this.stopGeneration();
+      }
     });
   }
 
   async checkHealth() {
-    const healthy = await API.checkHealth();
-    if (!healthy) {
-      UI.showToast('Cannot connect to server. Please make sure server is running.', 'error');
+    const health = await API.checkHealth();
+    this.renderServiceBanner(health.status);
+
+    // Keep checking while degraded so the banner clears once service recovers
+    clearTimeout(this.healthTimer);
+    if (health.status !== 'ok') {
+      this.healthTimer = setTimeout(() => this.checkHealth(), CONFIG.HEALTH_RECHECK_INTERVAL);
+    }
+  }
+
+  renderServiceBanner(status) {
+    const banner = document.getElementById('serviceBanner');
+    if (!banner) return;
+
+    const messages = {
+      unreachable: 'Cannot connect to the server. Messages can\'t be sent until it is back.',
+      unavailable: 'The AI service is currently unavailable. Replies may fail until it recovers.',
+      degraded: 'Some AI services are having problems. Replies may be slower or come from a backup model.',
+    };
+    banner.hidden = !messages[status];
+    banner.classList.toggle('warning', status === 'degraded');
+    banner.querySelector('.service-banner-text').textContent = messages[status] || '';
+  }
+
+  async attachFile(file) {
+    const extension = `.${file.name.split('.').pop().toLowerCase()}`;
+
+    if (!CONFIG.ATTACHMENT_TYPES.includes(extension)) {
+      UI.showToast(`Unsupported file type. Use ${CONFIG.ATTACHMENT_TYPES.join(', ')}`, 'error');
+      return;
+    }
+
+    if (file.size > CONFIG.MAX_ATTACHMENT_SIZE) {
+      UI.showToast(`${file.name} is larger than ${Utils.formatFileSize(CONFIG.MAX_ATTACHMENT_SIZE)}`, 'error');
+      return;
+    }
+
+    const pending = { key: Utils.generateId(), filename: file.name, size: file.size, uploading: true };
+    this.pendingAttachments.push(pending);
+    this.renderAttachmentChips();
+
+    try {
+      const attachment = await API.uploadAttachment(file);
+      Object.assign(pending, {
+        id: attachment.id,
+        filename: attachment.filename,
+        truncated: attachment.truncated,
+        uploading: false,
+      });
+      if (attachment.truncated) {
+        UI.showToast(`${attachment.filename} is long; only the first part will be used`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Attachment upload error:', error);
+      this.pendingAttachments = this.pendingAttachments.filter(a => a !== pending);
+      UI.showToast(error.message, 'error');
     }
+
+    this.renderAttachmentChips();
+  }
+
+  removeAttachment(key) {
+    this.pendingAttachments = this.pendingAttachments.filter(a => a.key !== key);
+    this.renderAttachmentChips();
+  }
+
+  renderAttachmentChips() {
+    const container = document.getElementById('attachmentChips');
+    if (!container) return;
+
+    container.hidden = this.pendingAttachments.length === 0;
+    container.innerHTML = this.pendingAttachments.map(attachment => `
+      <div class="attachment-chip${attachment.uploading ? ' uploading' : ''}">
+        <span class="attachment-chip-name">📄 ${Utils.escapeHtml(attachment.filename)}</span>
+        <span class="attachment-chip-size">${attachment.uploading ? 'Uploading...' : Utils.formatFileSize(attachment.size)}</span>
+        <button class="attachment-chip-remove" data-key="${attachment.key}" title="Remove">×</button>
+      </div>
+    `).join('');
+  }
+
+  renderMessageAttachments(messageDiv, attachments = []) {
+    if (!attachments || attachments.length === 0) return;
+
+    const list = document.createElement('div');
+    list.className = 'message-attachments';
+    list.innerHTML = attachments.map(attachment => `
+      <span class="attachment-chip">📄 ${Utils.escapeHtml(attachment.filename)}</span>
+    `).join('');
+
+    messageDiv.querySelector('.message-content').prepend(list);
   }
 
   async sendMessage() {
@@ -326,6 +1975,11 @@ class ChatApp {
     const message = input.value.trim();
 
     if (!message || this.isTyping) return;
+    if (this.rateLimitedUntil && Date.now() < this.rateLimitedUntil) return;
+    if (this.pendingAttachments.some(a => a.uploading)) {
+      UI.showToast('Please wait for attachments to finish uploading', 'error');
+      return;
+    }
 
     if (!this.currentChatId) {
       this.newChat(false);
@@ -338,25 +1992,68 @@ class ChatApp {
     const welcomeScreen = document.getElementById('welcomeScreen');
     if (welcomeScreen) welcomeScreen.style.display = 'none';
 
-    this.addMessage('user', message);
-    this.currentMessages.push({ role: 'user', content: message });
+    const userMessage = { role: 'user', content: message };
+    if (this.pendingAttachments.length > 0) {
+      userMessage.attachments = this.pendingAttachments.map(({ id, filename, size }) => ({ id, filename, size }));
+      this.pendingAttachments = [];
+      this.renderAttachmentChips();
+    }
+
+    const userNode = this.currentMessages.append(userMessage);
+    this.addMessage('user', message, userNode);
+
+    await this.generateResponse(userNode.id);
+  }
+
+  /**
+   * Requests an assistant reply to the given user message. Overrides (model,
+   * temperature) apply to this request only, e.g. when regenerating.
+   * Resolves to false when the request failed and an error was shown in place
+   * of a reply.
+   */
+  async generateResponse(parentId, overrides = {}) {
+    const settings = { ...this.settings, ...overrides };
 
     this.showTypingIndicator();
-    this.isTyping = true;
+    this.setTyping(true);
 
     try {
       this.abortController = new AbortController();
 
-      await this.fetchResponse();
+      if (settings.stream) {
+        await this.streamResponse(parentId, settings);
+      } else {
+        await this.fetchResponse(parentId, settings);
+      }
 
       if (CONFIG.AUTO_SAVE) {
         this.saveChat();
       }
+      return true;
     } catch (error) {
       this.hideTypingIndicator();
-      this.isTyping = false;
+      this.setTyping(false);
+
+      if (error.name === 'AbortError') {
+        UI.showToast('Response stopped', 'success');
+        if (CONFIG.AUTO_SAVE) {
+          this.saveChat();
+        }
+        return true;
+      }
+
       console.error('❌ Send message error:', error);
 
+      if (error.retryAfter) {
+        const toast = error.status === 503 ? 'AI service unavailable' : 'Rate limit reached';
+        this.showRateLimitCountdown(error.message, error.retryAfter, toast);
+        return false;
+      }
+
+      if (error.status === 503 || error.message.includes('Failed to fetch')) {
+        this.checkHealth();
+      }
+
       let errorMsg = 'Sorry, I encountered an error. ';
       if (error.message.includes('Failed to fetch')) {
         errorMsg += 'Please make sure the server is running at http://localhost:3000';
@@ -370,146 +2067,635 @@ class ChatApp {
 
       this.addMessage('assistant', errorMsg);
       UI.showToast('Failed to send message', 'error');
+      return false;
+    }
+  }
+
+  setTyping(active) {
+    this.isTyping = active;
+    document.getElementById('sendBtn').hidden = active;
+    document.getElementById('stopBtn').hidden = !active;
+  }
+
+  stopGeneration() {
+    if (this.isTyping && this.abortController) {
+      this.abortController.abort();
     }
   }
 
-  async streamResponse() {
+  showRateLimitCountdown(message, seconds, toast = 'Rate limit reached') {
+    const messageDiv = this.createMessageElement('assistant');
+    const contentDiv = messageDiv.querySelector('.message-content');
+    const sendBtn = document.getElementById('sendBtn');
+    const endsAt = Date.now() + seconds * 1000;
+
+    clearInterval(this.rateLimitTimer);
+    this.rateLimitedUntil = endsAt;
+
+    const render = () => {
+      const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      if (remaining === 0) {
+        clearInterval(this.rateLimitTimer);
+        this.rateLimitedUntil = null;
+        contentDiv.textContent = 'You can send messages again.';
+        const input = document.getElementById('messageInput');
+        sendBtn.disabled = !input.value.trim();
+        return;
+      }
+
+      const minutes = Math.floor(remaining / 60);
+      const wait = minutes > 0 ? `${minutes}m ${remaining % 60}s` : `${remaining}s`;
+      contentDiv.textContent = `${message} You can send again in ${wait}.`;
+      sendBtn.disabled = true;
+    };
+
+    render();
+    this.rateLimitTimer = setInterval(render, 1000);
+    UI.showToast(toast, 'error');
+  }
+
+  async streamResponse(parentId, settings) {
     try {
-      const response = await API.sendMessage(this.currentMessages, this.settings);
+      const response = await API.sendMessage(this.currentMessages.pathTo(parentId), {
+        ...settings,
+        summary: this.contextSummary,
+        signal: this.abortController?.signal,
+      });
       this.hideTypingIndicator();
 
       const messageDiv = this.createMessageElement('assistant');
       const contentDiv = messageDiv.querySelector('.message-content');
 
+      const renderer = new StreamRenderer(contentDiv, { onRender: () => this.scrollToBottom() });
       let fullResponse = '';
+      let sources = [];
+      let routing = null;
       let buffer = ''; // CRITICAL FIX: Buffer for incomplete chunks
       const reader = response.body.getReader();
       const decoder = new TextDecoder('utf-8'); // Explicit UTF-8
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+      let stopped = false;
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          // Decode chunk and add to buffer
+          const chunk = decoder.decode(value, { stream: true });
+          buffer += chunk;
+
+          // Split by newlines
+          const lines = buffer.split('\n');
+
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+
+            // Skip empty lines and [DONE] marker
+            if (!trimmed || trimmed === 'data: [DONE]') continue;
+
+            if (trimmed.startsWith('data: ')) {
+              const jsonStr = trimmed.slice(6); // Remove 'data: ' prefix
+
+              let parsed;
+              try {
+                parsed = JSON.parse(jsonStr);
+              } catch (parseError) {
+                // Skip invalid JSON (incomplete chunks)
+                console.debug('Skipping invalid JSON:', jsonStr.substring(0, 50));
+                continue;
+              }
+
+              // Structured error event sent by the server after headers went out
+              if (parsed.error) {
+                throw new Error(parsed.error);
+              }
+
+              if (parsed.sources) {
+                sources = parsed.sources;
+                continue;
+              }
+
+              if (parsed.context) {
+                this.applyContext(parsed.context);
+                continue;
+              }
+
+              if (parsed.routing) {
+                routing = parsed.routing;
+                continue;
+              }
+
+              const content = parsed.choices?.[0]?.delta?.content || '';
+
+              if (content) {
+                fullResponse += content;
+                renderer.append(content);
+              }
+            }
+          }
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        // Stopped by the user: keep whatever has arrived so far
+        stopped = true;
+      }
+
+      renderer.finish();
+
+      if (stopped && !fullResponse) {
+        messageDiv.remove();
+        this.setTyping(false);
+        UI.showToast('Response stopped', 'success');
+        return;
+      }
+
+      this.renderSources(messageDiv, sources);
+      if (stopped) this.markStopped(messageDiv);
+      const assistantMessage = {
+        role: 'assistant',
+        content: fullResponse,
+        model: routing?.model || settings.model,
+        sources,
+      };
+      if (stopped) assistantMessage.stopped = true;
+      if (routing?.fallback) {
+        assistantMessage.fallbackFrom = routing.requestedModel;
+        this.markFallback(messageDiv, assistantMessage);
+      }
+      const node = this.currentMessages.add(parentId, assistantMessage);
+      this.addMessageActions(messageDiv, node);
+      this.renderBranchNav(messageDiv, node);
+      this.setTyping(false);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async fetchResponse(parentId, settings) {
+    try {
+      const response = await API.sendMessage(this.currentMessages.pathTo(parentId), {
+        ...settings,
+        stream: false,
+        summary: this.contextSummary,
+        signal: this.abortController?.signal,
+      });
+
+      const data = await response.json();
+      this.hideTypingIndicator();
+      this.applyContext(data.context);
+      const node = this.currentMessages.add(parentId, {
+        role: 'assistant',
+        content: data.message,
+        model: data.routing?.model || data.model || settings.model,
+        sources: data.sources || [],
+        ...(data.routing?.fallback && { fallbackFrom: data.routing.requestedModel }),
+      });
+      this.addMessage('assistant', data.message, node);
+      this.setTyping(false);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  createMessageElement(role) {
+    const container = document.getElementById('messagesContainer');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${role}`;
+
+    messageDiv.innerHTML = `
+      <div class="message-avatar">${role === 'user' ? '👤' : '🤖'}</div>
+      <div class="message-content"></div>
+    `;
+
+    container.appendChild(messageDiv);
+    this.scrollToBottom();
+    return messageDiv;
+  }
+
+  addMessage(role, content, meta = {}) {
+    const messageDiv = this.createMessageElement(role);
+    const contentDiv = messageDiv.querySelector('.message-content');
+    if (meta.id) messageDiv.dataset.messageId = meta.id;
+
+    contentDiv.innerHTML = MessageFormatter.format(content);
+    MessageFormatter.highlightCode(contentDiv);
+    MessageFormatter.addCopyButtons(contentDiv);
+
+    if (role === 'user') {
+      this.renderMessageAttachments(messageDiv, meta.attachments);
+      if (meta.id) this.addUserMessageActions(messageDiv, meta);
+    }
+
+    if (role === 'assistant') {
+      this.renderSources(messageDiv, meta.sources);
+      if (meta.stopped) this.markStopped(messageDiv);
+      if (meta.fallbackFrom) this.markFallback(messageDiv, meta);
+      this.addMessageActions(messageDiv, meta);
+    }
+
+    if (meta.id) {
+      this.renderBranchNav(messageDiv, meta);
+    }
+
+    return messageDiv;
+  }
+
+  applyContext(context) {
+    if (!context?.condensed) return;
+
+    const previousCount = this.contextSummary?.count || 0;
+    this.contextSummary = context.summary;
+
+    if (context.trimmed) {
+      this.renderContextNotice(document.querySelectorAll('#messagesContainer .message.user'), true);
+    } else if ((context.summary?.count || 0) > previousCount) {
+      this.renderContextNotice(document.querySelectorAll('#messagesContainer .message.user'));
+    }
+  }
+
+  // Marks where the model's view of the conversation starts, above the given message
+  renderContextNotice(candidates, trimmed = false, index = candidates.length - 1) {
+    document.querySelector('.context-notice')?.remove();
+
+    const anchor = candidates[index];
+    if (!anchor) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'context-notice';
+    notice.textContent = trimmed
+      ? 'Earlier messages were dropped to fit the model\'s context window.'
+      : 'Earlier messages were condensed into a summary to fit the model\'s context window.';
+    anchor.parentNode.insertBefore(notice, anchor);
+  }
+
+  markStopped(messageDiv) {
+    const label = document.createElement('div');
+    label.className = 'message-stopped';
+    label.textContent = 'Stopped';
+    messageDiv.querySelector('.message-content').appendChild(label);
+  }
+
+  // The requested model was unavailable, so another one answered
+  markFallback(messageDiv, message) {
+    const label = document.createElement('div');
+    label.className = 'message-fallback';
+    label.textContent = `Answered by ${message.model}`;
+    label.title = `${message.fallbackFrom} was unavailable`;
+    messageDiv.querySelector('.message-content').appendChild(label);
+  }
+
+  renderSources(messageDiv, sources = []) {
+    if (!sources || sources.length === 0) return;
+
+    const sourcesDiv = document.createElement('div');
+    sourcesDiv.className = 'message-sources';
+    sourcesDiv.innerHTML = `
+      <span class="message-sources-label">Sources:</span>
+      ${sources.map((source, index) => `
+        <span class="source-chip" title="${Utils.escapeHtml(source.file)}">[${index + 1}] ${Utils.escapeHtml(source.title)}</span>
+      `).join('')}
+    `;
+
+    messageDiv.querySelector('.message-content').appendChild(sourcesDiv);
+  }
+
+  addMessageActions(messageDiv, message) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'message-actions';
+    actionsDiv.innerHTML = `
+      <button class="icon-btn" title="Copy message">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+          <rect x="9" y="9" width="13" height="13" rx="2" stroke="currentColor" stroke-width="2"/>
+          <path d="M5 15H4C2.89543 15 2 14.1046 2 13V4C2 2.89543 2.89543 2 4 2H13C14.1046 2 15 2.89543 15 4V5" stroke="currentColor" stroke-width="2"/>
+        </svg>
+      </button>
+      <button class="icon-btn" title="Like" data-rating="up">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+          <path d="M7 22V11M2 13V20C2 21.1046 2.89543 22 4 22H17.4262C18.907 22 20.1662 20.9197 20.3914 19.4562L21.4683 12.4562C21.7479 10.6389 20.3418 9 18.5032 9H15C14.4477 9 14 8.55228 14 8V4.46584C14 3.10399 12.896 2 11.5342 2C11.2093 2 10.915 2.1913 10.7831 2.48812L7.26394 10.4061C7.10344 10.7673 6.74532 11 6.35013 11H4C2.89543 11 2 11.8954 2 13Z" stroke="currentColor" stroke-width="2"/>
+        </svg>
+      </button>
+      <button class="icon-btn" title="Dislike" data-rating="down">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+          <path d="M17 2V13M22 11V4C22 2.89543 21.1046 2 20 2H6.57383C5.09297 2 3.83375 3.08027 3.60858 4.54377L2.53165 11.5438C2.25211 13.3611 3.65823 15 5.49685 15H9C9.55228 15 10 15.4477 10 16V19.5342C10 20.896 11.104 22 12.4658 22C12.7907 22 13.085 21.8087 13.2169 21.5119L16.7361 13.5939C16.8966 13.2327 17.2547 13 17.6499 13H20C21.1046 13 22 12.1046 22 11Z" stroke="currentColor" stroke-width="2"/>
+        </svg>
+      </button>
+      <button class="icon-btn" title="Regenerate" data-action="regenerate">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+          <path d="M1 4V10H7M23 20V14H17M20.49 9C19.8397 7.24532 18.6214 5.76325 17.0292 4.78993C15.437 3.81661 13.5574 3.40764 11.6843 3.62716C9.81119 3.84667 8.06464 4.68197 6.73923 5.99991C5.41382 7.31785 4.58447 9.0447 4.37 10.91M3.51 15C4.16027 16.7547 5.37863 18.2368 6.97081 19.2101C8.56299 20.1834 10.4426 20.5924 12.3157 20.3728C14.1888 20.1533 15.9354 19.318 17.2608 18.0001C18.5862 16.6822 19.4155 14.9553 19.63 13.09" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
+    `;
+
+    messageDiv.querySelector('.message-content').appendChild(actionsDiv);
+
+    // Messages saved before ratings existed have no id yet
+    if (!message.id) message.id = Utils.generateId();
+
+    actionsDiv.querySelectorAll('[data-rating]').forEach((button) => {
+      button.classList.toggle('active', message.feedback?.rating === button.dataset.rating);
+      button.addEventListener('click', () => this.rateMessage(messageDiv, message, button.dataset.rating));
+    });
+
+    const regenerateBtn = actionsDiv.querySelector('[data-action="regenerate"]');
+    regenerateBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openRegenerateMenu(actionsDiv, message);
+    });
+  }
+
+  addUserMessageActions(messageDiv, message) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'message-actions';
+    actionsDiv.innerHTML = `
+      <button class="icon-btn" title="Edit message" data-action="edit">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+          <path d="M11 4H4C2.89543 4 2 4.89543 2 6V20C2 21.1046 2.89543 22 4 22H18C19.1046 22 20 21.1046 20 20V13" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          <path d="M18.5 2.5C19.3284 1.67157 20.6716 1.67157 21.5 2.5C22.3284 3.32843 22.3284 4.67157 21.5 5.5L12 15L8 16L9 12L18.5 2.5Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+        </svg>
+      </button>
+    `;
+
+    actionsDiv.querySelector('[data-action="edit"]').addEventListener('click', () => {
+      if (!this.isTyping) this.startEditing(messageDiv, message);
+    });
+
+    messageDiv.querySelector('.message-content').appendChild(actionsDiv);
+  }
+
+  // Swaps a user bubble for an inline editor; sending forks the conversation there
+  startEditing(messageDiv, message) {
+    const contentDiv = messageDiv.querySelector('.message-content');
+    const original = [...contentDiv.childNodes];
+
+    const form = document.createElement('form');
+    form.className = 'message-edit-form';
+    form.innerHTML = `
+      <textarea rows="3" maxlength="${CONFIG.MAX_MESSAGE_LENGTH}"></textarea>
+      <div class="feedback-form-actions">
+        <button type="button" class="feedback-btn" data-action="cancel">Cancel</button>
+        <button type="submit" class="feedback-btn primary">Send</button>
+      </div>
+    `;
+
+    const textarea = form.querySelector('textarea');
+    textarea.value = message.content;
+
+    const cancel = () => contentDiv.replaceChildren(...original);
+
+    form.querySelector('[data-action="cancel"]').addEventListener('click', cancel);
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        cancel();
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        form.requestSubmit();
+      }
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const content = textarea.value.trim();
+
+      if (!content || content === message.content) {
+        cancel();
+        return;
+      }
+
+      this.resendEdited(message, content);
+    });
+
+    contentDiv.replaceChildren(form);
+    textarea.focus();
+  }
+
+  async resendEdited(message, content) {
+    if (this.isTyping) return;
+    if (this.rateLimitedUntil && Date.now() < this.rateLimitedUntil) return;
+
+    const edited = { role: 'user', content };
+    if (message.attachments) edited.attachments = message.attachments;
+
+    this.dropSummaryAfterBranch(message.parentId);
+    const node = this.currentMessages.add(message.parentId, edited);
+    this.renderConversation();
+
+    await this.generateResponse(node.id);
+  }
+
+  // Regenerate options: the same settings by default, or another model/temperature
+  openRegenerateMenu(actionsDiv, message) {
+    document.querySelector('.regenerate-menu')?.remove();
+
+    const models = this.models.filter(model => model.available !== false);
+    if (!models.some(model => model.id === this.settings.model)) {
+      models.unshift({ id: this.settings.model, name: this.settings.model });
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'regenerate-menu';
+    menu.innerHTML = `
+      <label class="regenerate-field">
+        <span>Model</span>
+        <select name="model">
+          ${models.map(model => `
+            <option value="${Utils.escapeHtml(model.id)}"${model.id === (message.model || this.settings.model) ? ' selected' : ''}>
+              ${Utils.escapeHtml(model.name)}
+            </option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="regenerate-field">
+        <span>Temperature <output>${this.settings.temperature}</output></span>
+        <input type="range" name="temperature" min="0" max="2" step="0.1" value="${this.settings.temperature}">
+      </label>
+      <button class="feedback-btn primary" data-action="confirm">Regenerate</button>
+    `;
+
+    const slider = menu.querySelector('[name="temperature"]');
+    slider.addEventListener('input', () => {
+      menu.querySelector('output').textContent = slider.value;
+    });
+
+    const close = (e) => {
+      if (e && menu.contains(e.target)) return;
+      menu.remove();
+      document.removeEventListener('click', close);
+    };
+
+    menu.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+      close();
+      this.regenerate(message, {
+        model: menu.querySelector('[name="model"]').value,
+        temperature: parseFloat(slider.value),
+      });
+    });
+
+    actionsDiv.appendChild(menu);
+    document.addEventListener('click', close);
+  }
+
+  async regenerate(message, overrides = {}) {
+    if (this.isTyping || !message.parentId) return;
+
+    const { count } = this.currentMessages.siblings(message.id);
+    this.dropSummaryAfterBranch(message.parentId);
+    this.renderConversation(this.currentMessages.pathTo(message.parentId));
+
+    const succeeded = await this.generateResponse(message.parentId, { ...overrides, fresh: true });
+
+    // Stopped before any text arrived: show the previous branch again. A failure
+    // keeps its error message on screen instead.
+    if (succeeded && this.currentMessages.siblings(message.id).count === count) {
+      this.renderConversation();
+    }
+  }
+
+  // The rolling summary covers the first `count` messages of the path it was built on
+  dropSummaryAfterBranch(parentId) {
+    const depth = this.currentMessages.pathTo(parentId).length;
+    if (this.contextSummary && this.contextSummary.count > depth) {
+      this.contextSummary = null;
+    }
+  }
+
+  renderBranchNav(messageDiv, message) {
+    const { ids, index, count } = this.currentMessages.siblings(message.id);
+    if (count < 2) return;
 
-        // Decode chunk and add to buffer
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
+    const nav = document.createElement('div');
+    nav.className = 'branch-nav';
+    nav.innerHTML = `
+      <button class="icon-btn" data-step="-1" title="Previous response"${index === 0 ? ' disabled' : ''}>‹</button>
+      <span>${index + 1}/${count}</span>
+      <button class="icon-btn" data-step="1" title="Next response"${index === count - 1 ? ' disabled' : ''}>›</button>
+    `;
 
-        // Split by newlines
-        const lines = buffer.split('\n');
+    nav.querySelectorAll('[data-step]').forEach((button) => {
+      button.addEventListener('click', () => {
+        if (this.isTyping) return;
+        this.dropSummaryAfterBranch(message.parentId);
+        this.currentMessages.select(ids[index + Number(button.dataset.step)]);
+        this.renderConversation();
+        if (CONFIG.AUTO_SAVE) this.saveChat();
+      });
+    });
 
-        buffer = lines.pop() || '';
+    const actions = messageDiv.querySelector('.message-actions');
+    if (actions) {
+      actions.prepend(nav);
+    } else {
+      messageDiv.querySelector('.message-content').appendChild(nav);
+    }
+  }
 
-        for (const line of lines) {
-          const trimmed = line.trim();
+  renderConversation(path = this.currentMessages.path()) {
+    const container = document.getElementById('messagesContainer');
+    container.innerHTML = '';
 
-          // Skip empty lines and [DONE] marker
-          if (!trimmed || trimmed === 'data: [DONE]') continue;
+    path.forEach(msg => this.addMessage(msg.role, msg.content, msg));
 
-          if (trimmed.startsWith('data: ')) {
-            const jsonStr = trimmed.slice(6); // Remove 'data: ' prefix
+    if (this.contextSummary) {
+      this.renderContextNotice(container.querySelectorAll('.message'), false, this.contextSummary.count);
+    }
+  }
 
-            try {
-              const parsed = JSON.parse(jsonStr);
-              const content = parsed.choices[0]?.delta?.content || '';
+  async rateMessage(messageDiv, message, rating) {
+    const chatId = this.currentChatId;
+    const previous = message.feedback;
+    const removing = previous?.rating === rating;
 
-              if (content) {
-                fullResponse += content;
+    message.feedback = removing ? undefined : { rating };
+    this.updateRatingButtons(messageDiv, message);
+    messageDiv.querySelector('.feedback-form')?.remove();
 
-                // Update UI in real-time
-                contentDiv.innerHTML = MessageFormatter.format(fullResponse);
-                MessageFormatter.highlightCode(contentDiv);
-                MessageFormatter.addCopyButtons(contentDiv);
-                this.scrollToBottom();
-              }
-            } catch (parseError) {
-              // Skip invalid JSON (incomplete chunks)
-              console.debug('Skipping invalid JSON:', jsonStr.substring(0, 50));
-            }
-          }
-        }
+    try {
+      if (removing) {
+        await API.deleteFeedback(chatId, message.id);
+      } else {
+        await API.sendFeedback(this.buildFeedback(chatId, message));
+        this.renderFeedbackForm(messageDiv, message);
       }
-
-      this.addMessageActions(messageDiv);
-      this.currentMessages.push({ role: 'assistant', content: fullResponse });
-      this.isTyping = false;
+      this.saveChat();
     } catch (error) {
-      throw error;
+      console.error('❌ Feedback error:', error);
+      message.feedback = previous;
+      this.updateRatingButtons(messageDiv, message);
+      UI.showToast('Could not save your feedback', 'error');
     }
   }
 
-  async fetchResponse() {
-    try {
-      const response = await API.sendMessage(this.currentMessages, {
-        ...this.settings,
-        stream: false,
-      });
-
-      const data = await response.json();
-      this.hideTypingIndicator();
-      this.addMessage('assistant', data.message);
-      this.currentMessages.push({ role: 'assistant', content: data.message });
-      this.isTyping = false;
-    } catch (error) {
-      throw error;
-    }
+  buildFeedback(conversationId, message) {
+    const { rating, reason, comment } = message.feedback;
+
+    return {
+      conversationId,
+      messageId: message.id,
+      rating,
+      reason,
+      comment,
+      model: message.model || this.settings.model,
+      topic: message.sources?.[0]?.title,
+    };
   }
 
-  createMessageElement(role) {
-    const container = document.getElementById('messagesContainer');
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${role}`;
+  updateRatingButtons(messageDiv, message) {
+    messageDiv.querySelectorAll('[data-rating]').forEach((button) => {
+      button.classList.toggle('active', message.feedback?.rating === button.dataset.rating);
+    });
+  }
 
-    messageDiv.innerHTML = `
-      <div class="message-avatar">${role === 'user' ? '👤' : '🤖'}</div>
-      <div class="message-content"></div>
+  // Optional follow-up asking why a response was rated the way it was
+  renderFeedbackForm(messageDiv, message) {
+    const { rating } = message.feedback;
+    const form = document.createElement('form');
+    form.className = 'feedback-form';
+    form.innerHTML = `
+      <div class="feedback-reasons">
+        ${Object.entries(CONFIG.FEEDBACK_REASONS[rating]).map(([value, label]) => `
+          <label class="feedback-reason">
+            <input type="radio" name="reason" value="${value}">
+            <span>${label}</span>
+          </label>
+        `).join('')}
+      </div>
+      <textarea name="comment" rows="2" maxlength="1000" placeholder="Anything else you'd like to add? (optional)"></textarea>
+      <div class="feedback-form-actions">
+        <button type="button" class="feedback-btn" data-action="skip">Skip</button>
+        <button type="submit" class="feedback-btn primary">Send feedback</button>
+      </div>
     `;
 
-    container.appendChild(messageDiv);
-    this.scrollToBottom();
-    return messageDiv;
-  }
+    form.querySelector('[data-action="skip"]').addEventListener('click', () => form.remove());
 
-  addMessage(role, content) {
-    const messageDiv = this.createMessageElement(role);
-    const contentDiv = messageDiv.querySelector('.message-content');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const chatId = this.currentChatId;
+      const reason = form.elements.reason.value || undefined;
+      const comment = form.elements.comment.value.trim() || undefined;
 
-    contentDiv.innerHTML = MessageFormatter.format(content);
-    MessageFormatter.highlightCode(contentDiv);
-    MessageFormatter.addCopyButtons(contentDiv);
+      if (!reason && !comment) {
+        form.remove();
+        return;
+      }
 
-    if (role === 'assistant') {
-      this.addMessageActions(messageDiv);
-    }
-  }
+      message.feedback = { rating, reason, comment };
 
-  addMessageActions(messageDiv) {
-    const actionsDiv = document.createElement('div');
-    actionsDiv.className = 'message-actions';
-    actionsDiv.innerHTML = `
-      <button class="icon-btn" title="Copy message">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-          <rect x="9" y="9" width="13" height="13" rx="2" stroke="currentColor" stroke-width="2"/>
-          <path d="M5 15H4C2.89543 15 2 14.1046 2 13V4C2 2.89543 2.89543 2 4 2H13C14.1046 2 15 2.89543 15 4V5" stroke="currentColor" stroke-width="2"/>
-        </svg>
-      </button>
-      <button class="icon-btn" title="Like">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-          <path d="M7 22V11M2 13V20C2 21.1046 2.89543 22 4 22H17.4262C18.907 22 20.1662 20.9197 20.3914 19.4562L21.4683 12.4562C21.7479 10.6389 20.3418 9 18.5032 9H15C14.4477 9 14 8.55228 14 8V4.46584C14 3.10399 12.896 2 11.5342 2C11.2093 2 10.915 2.1913 10.7831 2.48812L7.26394 10.4061C7.10344 10.7673 6.74532 11 6.35013 11H4C2.89543 11 2 11.8954 2 13Z" stroke="currentColor" stroke-width="2"/>
-        </svg>
-      </button>
-      <button class="icon-btn" title="Dislike">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-          <path d="M17 2V13M22 11V4C22 2.89543 21.1046 2 20 2H6.57383C5.09297 2 3.83375 3.08027 3.60858 4.54377L2.53165 11.5438C2.25211 13.3611 3.65823 15 5.49685 15H9C9.55228 15 10 15.4477 10 16V19.5342C10 20.896 11.104 22 12.4658 22C12.7907 22 13.085 21.8087 13.2169 21.5119L16.7361 13.5939C16.8966 13.2327 17.2547 13 17.6499 13H20C21.1046 13 22 12.1046 22 11Z" stroke="currentColor" stroke-width="2"/>
-        </svg>
-      </button>
-      <button class="icon-btn" title="Regenerate">
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-          <path d="M1 4V10H7M23 20V14H17M20.49 9C19.8397 7.24532 18.6214 5.76325 17.0292 4.78993C15.437 3.81661 13.5574 3.40764 11.6843 3.62716C9.81119 3.84667 8.06464 4.68197 6.73923 5.99991C5.41382 7.31785 4.58447 9.0447 4.37 10.91M3.51 15C4.16027 16.7547 5.37863 18.2368 6.97081 19.2101C8.56299 20.1834 10.4426 20.5924 12.3157 20.3728C14.1888 20.1533 15.9354 19.318 17.2608 18.0001C18.5862 16.6822 19.4155 14.9553 19.63 13.09" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-        </svg>
-      </button>
-    `;
+      try {
+        await API.sendFeedback(this.buildFeedback(chatId, message));
+        form.remove();
+        this.saveChat();
+        UI.showToast('Thanks for your feedback', 'success');
+      } catch (error) {
+        console.error('❌ Feedback error:', error);
+        UI.showToast('Could not save your feedback', 'error');
+      }
+    });
 
-    messageDiv.querySelector('.message-content').appendChild(actionsDiv);
+    messageDiv.querySelector('.message-content').appendChild(form);
   }
 
   showTypingIndicator() {
@@ -544,7 +2730,9 @@ class ChatApp {
     }
 
     this.currentChatId = Utils.generateId();
-    this.currentMessages = [];
+    this.currentMessages = new MessageTree();
+    this.contextSummary = null;
+    this.announceOpenChat();
 
     const container = document.getElementById('messagesContainer');
     container.innerHTML = `
@@ -558,38 +2746,113 @@ class ChatApp {
     }
   }
 
-  saveChat() {
-    if (!this.currentChatId || this.currentMessages.length === 0) return;
+  async saveChat() {
+    if (!this.currentChatId || this.currentMessages.isEmpty) return;
 
-    const title = this.currentMessages[0]?.content.substring(0, 50) || 'New Chat';
-    const existingIndex = this.chats.findIndex(c => c.id === this.currentChatId);
+    const title = this.currentMessages.path()[0]?.content.substring(0, 50) || 'New Chat';
 
     const chatData = {
       id: this.currentChatId,
       title,
-      messages: this.currentMessages,
+      // Shares its objects with currentMessages, so branches merged in from other tabs show up here too
+      tree: this.currentMessages.toJSON(),
       timestamp: Date.now(),
       model: this.settings.model,
+      contextSummary: this.contextSummary,
     };
 
-    if (existingIndex >= 0) {
-      this.chats[existingIndex] = chatData;
-    } else {
-      this.chats.unshift(chatData);
-    }
+    this.upsertChatMeta(chatData);
+    this.loadChatHistory();
+    await this.persistChats([chatData], { merge: true });
+    this.syncChat(chatData);
+  }
+
+  getSearchState() {
+    const value = id => document.getElementById(id)?.value || '';
+    const from = value('searchFrom');
+    const to = value('searchTo');
+
+    return {
+      query: value('searchChats').trim(),
+      model: value('searchModel'),
+      // Date inputs are local calendar days; "to" includes the whole day
+      from: from ? new Date(`${from}T00:00`).getTime() : null,
+      to: to ? new Date(`${to}T00:00`).getTime() + 86400000 : null,
+    };
+  }
+
+  async renderSearchModelOptions() {
+    const select = document.getElementById('searchModel');
+    if (!select) return;
+
+    await this.searchIndex.sync(this.chats, id => ChatStore.getChat(id));
+    const current = select.value;
+    const nameOf = id => this.models.find(model => model.id === id)?.name || id;
+
+    select.innerHTML = `<option value="">All models</option>${this.searchIndex.models().map(id => `
+      <option value="${Utils.escapeHtml(id)}"${id === current ? ' selected' : ''}>${Utils.escapeHtml(nameOf(id))}</option>
+    `).join('')}`;
+  }
+
+  async renderSearchResults(list, { query, ...filters }) {
+    await this.searchIndex.sync(this.chats, id => ChatStore.getChat(id));
+    const results = this.searchIndex.search(query, filters);
+
+    document.getElementById('historyTitle').textContent = 'Search results';
 
-    if (this.chats.length > CONFIG.MAX_CHAT_HISTORY) {
-      this.chats = this.chats.slice(0, CONFIG.MAX_CHAT_HISTORY);
+    if (results.length === 0) {
+      list.innerHTML = '<p class="search-empty">No matching chats</p>';
+      return;
     }
 
-    Storage.set('chats', this.chats);
-    this.loadChatHistory();
+    list.innerHTML = '';
+    results.forEach((result) => {
+      const item = document.createElement('div');
+      item.className = 'history-item search-result';
+      if (result.chatId === this.currentChatId) item.classList.add('active');
+
+      item.innerHTML = `
+        <span class="history-item-title">${ChatSearchIndex.highlight(result.title, result.terms)}</span>
+        ${result.snippet ? `<span class="search-result-snippet">${ChatSearchIndex.highlight(result.snippet, result.terms)}</span>` : ''}
+        <span class="search-result-meta">
+          ${Utils.getTimeAgo(result.timestamp)}${result.matches > 1 ? ` · ${result.matches} messages` : ''}
+        </span>
+      `;
+
+      item.addEventListener('click', () => this.openSearchResult(result));
+      list.appendChild(item);
+    });
+  }
+
+  async openSearchResult({ chatId, messageId }) {
+    await this.loadChat(chatId);
+    if (!messageId || this.currentChatId !== chatId) return;
+
+    this.currentMessages.reveal(messageId);
+    this.renderConversation();
+
+    const target = [...document.querySelectorAll('#messagesContainer [data-message-id]')]
+      .find(el => el.dataset.messageId === messageId);
+    if (target) {
+      target.scrollIntoView({ block: 'center' });
+      target.classList.add('message-highlight');
+      setTimeout(() => target.classList.remove('message-highlight'), 2000);
+    }
   }
 
   loadChatHistory() {
     const list = document.getElementById('historyList');
     if (!list) return;
 
+    const search = this.getSearchState();
+    if (search.query || search.model || search.from !== null || search.to !== null) {
+      this.renderSearchResults(list, search);
+      return;
+    }
+
+    const heading = document.getElementById('historyTitle');
+    if (heading) heading.textContent = 'Your chats';
+
     list.innerHTML = '';
 
     if (this.chats.length === 0) {
@@ -618,22 +2881,30 @@ class ChatApp {
     });
   }
 
-  loadChat(chatId) {
-    const chat = this.chats.find(c => c.id === chatId);
-    if (!chat) return;
+  async loadChat(chatId) {
+    if (!this.chats.some(c => c.id === chatId)) return;
 
     if (this.currentChatId && CONFIG.AUTO_SAVE) {
       this.saveChat();
     }
 
-    this.currentChatId = chatId;
-    this.currentMessages = [...chat.messages];
+    this.loadingChatId = chatId;
+    const chat = await ChatStore.getChat(chatId);
+    // Another chat was opened while this one was loading
+    if (this.loadingChatId !== chatId) return;
 
-    const container = document.getElementById('messagesContainer');
-    container.innerHTML = '';
+    if (!chat) {
+      UI.showToast('Could not open this chat', 'error');
+      return;
+    }
 
-    chat.messages.forEach(msg => this.addMessage(msg.role, msg.content));
+    this.currentChatId = chatId;
+    this.currentMessages = MessageTree.from(chat);
+    this.contextSummary = chat.contextSummary || null;
+
+    this.renderConversation();
     this.loadChatHistory();
+    this.announceOpenChat();
 
     if (window.innerWidth <= 768) {
       UI.toggleSidebar();
@@ -644,9 +2915,12 @@ class ChatApp {
     if (!confirm('Delete this chat?')) return;
 
     this.chats = this.chats.filter(c => c.id !== chatId);
-    Storage.set('chats', this.chats);
+    ChatStore.deleteChat(chatId).then(() => this.updateStorageUsage());
+    TabSync.post('chat-deleted', { chatId });
+    this.syncDelete(chatId);
 
     if (this.currentChatId === chatId) {
+      this.currentChatId = null;
       this.newChat(false);
     }
 
@@ -657,35 +2931,370 @@ class ChatApp {
   clearAll() {
     if (!confirm('Delete all chats? This cannot be undone.')) return;
 
+    this.chats.forEach(chat => this.syncDelete(chat.id));
     this.chats = [];
-    Storage.set('chats', []);
+    ChatStore.clearChats().then(() => this.updateStorageUsage());
+    TabSync.post('chats-cleared');
     this.newChat(false);
     this.loadChatHistory();
     UI.hideModal('userModal');
     UI.showToast('All chats cleared', 'success');
   }
 
-  exportChats() {
-    const data = {
-      exported: new Date().toISOString(),
-      chats: this.chats,
-      settings: this.settings,
-    };
+  async exportChats(format = 'json', scope = 'all') {
+    if (this.currentChatId && CONFIG.AUTO_SAVE) {
+      await this.saveChat();
+    }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ai-global-chats-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const chats = await ChatStore.getChats(scope === 'current'
+      ? this.chats.filter(c => c.id === this.currentChatId).map(c => c.id)
+      : this.chats.map(c => c.id));
+
+    if (chats.length === 0) {
+      UI.showToast(scope === 'current' ? 'This chat has no messages yet' : 'No chats to export', 'error');
+      return;
+    }
+
+    const title = chats.length === 1 ? chats[0].title : 'AI Global Networks chats';
+
+    if (format === 'markdown') {
+      ChatArchive.download(ChatArchive.filename(chats, 'md'), ChatArchive.toMarkdown(chats), 'text/markdown');
+    } else if (format === 'html') {
+      ChatArchive.download(ChatArchive.filename(chats, 'html'), ChatArchive.toHtml(chats, title), 'text/html');
+    } else if (format === 'pdf') {
+      ChatArchive.printPdf(ChatArchive.toHtml(chats, title));
+    } else {
+      ChatArchive.download(ChatArchive.filename(chats, 'json'), ChatArchive.toJson(chats, this.settings), 'application/json');
+    }
+
+    UI.hideModal('exportModal');
+    UI.showToast(format === 'pdf' ? 'Choose "Save as PDF" in the print dialog' : 'Chats exported', 'success');
+  }
 
+  async importChats(file) {
     UI.hideModal('userModal');
-    UI.showToast('Chats exported', 'success');
+
+    let imported;
+    try {
+      imported = ChatArchive.parse(await file.text());
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+      return;
+    }
+
+    const changed = [];
+    let skipped = 0;
+
+    imported.forEach((chat) => {
+      const existing = this.chats.find(c => c.id === chat.id);
+      if (!existing || chat.timestamp > existing.timestamp) {
+        changed.push(chat);
+      } else {
+        skipped++;
+      }
+    });
+
+    if (!await this.persistChats(changed)) return;
+
+    changed.forEach((chat) => {
+      this.upsertChatMeta(chat);
+      this.syncChat(chat);
+    });
+
+    // The open chat was replaced by a newer copy: show it without saving over it
+    const current = changed.find(chat => chat.id === this.currentChatId);
+    if (current) {
+      this.currentMessages = MessageTree.from(current);
+      this.contextSummary = current.contextSummary;
+      this.renderConversation();
+    }
+
+    this.loadChatHistory();
+    UI.showToast(`Imported ${changed.length} chat${changed.length === 1 ? '' : 's'}${skipped ? `, ${skipped} already up to date` : ''}`, 'success');
+  }
+
+  openShareModal() {
+    if (!this.currentChatId || !this.currentMessages.path().some(msg => msg.role === 'assistant')) {
+      UI.showToast('Start a conversation before sharing it', 'error');
+      return;
+    }
+
+    UI.showModal('shareModal');
+    this.loadShareLinks();
+  }
+
+  shareUrl(share) {
+    return new URL(share.url, new URL(CONFIG.SHARES_ENDPOINT, window.location.href)).href;
+  }
+
+  async loadShareLinks() {
+    const list = document.getElementById('shareLinks');
+    if (!list) return;
+
+    try {
+      const shares = await API.listShares(this.currentChatId);
+      const statusLabels = { active: 'Active', expired: 'Expired', revoked: 'Revoked' };
+
+      list.innerHTML = shares.filter(share => share.status !== 'revoked').map((share) => {
+        const details = [
+          statusLabels[share.status],
+          share.expiresAt ? `until ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry',
+          share.hideUserMessages ? 'your messages hidden' : null,
+        ].filter(Boolean).join(' · ');
+
+        return `
+          <div class="share-link ${share.status}">
+            <input type="text" readonly value="${Utils.escapeHtml(this.shareUrl(share))}">
+            <div class="share-link-row">
+              <span class="share-link-details">${details}</span>
+              <button class="feedback-btn" data-share-action="copy" data-url="${Utils.escapeHtml(this.shareUrl(share))}">Copy</button>
+              <button class="feedback-btn" data-share-action="revoke" data-id="${Utils.escapeHtml(share.id)}">Revoke</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+    } catch (error) {
+      console.warn('⚠️ Could not load share links:', error.message);
+      list.innerHTML = '';
+    }
+  }
+
+  async createShareLink() {
+    const button = document.getElementById('createShareBtn');
+    const expiry = document.getElementById('shareExpiry').value;
+    const chat = this.chats.find(c => c.id === this.currentChatId);
+
+    button.disabled = true;
+
+    try {
+      const share = await API.createShare({
+        conversationId: this.currentChatId,
+        title: chat?.title,
+        messages: this.currentMessages.path().map(MessageTree.toMessage),
+        hideUserMessages: document.getElementById('shareHideUser').checked,
+        expiresIn: expiry ? parseInt(expiry, 10) : null,
+      });
+
+      await this.loadShareLinks();
+      this.copyShareLink(this.shareUrl(share));
+    } catch (error) {
+      console.error('❌ Share error:', error);
+      UI.showToast(error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  copyShareLink(url) {
+    navigator.clipboard?.writeText(url)
+      .then(() => UI.showToast('Link copied', 'success'))
+      .catch(() => UI.showToast('Link created. Copy it from the list.', 'success'));
+  }
+
+  async revokeShareLink(id) {
+    if (!confirm('Revoke this link? Anyone who has it will no longer be able to view the chat.')) return;
+
+    try {
+      await API.revokeShare(id);
+      await this.loadShareLinks();
+      UI.showToast('Link revoked', 'success');
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+    }
   }
 
   saveSettings() {
-    Storage.set('settings', this.settings);
+    ChatStore.putSetting('settings', this.settings)
+      .catch(error => console.error('❌ Could not save settings:', error));
+    TabSync.post('settings', { settings: this.settings });
+
+    if (this.user) {
+      API.saveAccountSettings(this.settings)
+        .catch(error => console.warn('⚠️ Settings saved in this browser only:', error.message));
+    }
+  }
+
+  async loadAccount() {
+    try {
+      const { user, usage } = await API.getAccount();
+      this.user = user;
+      if (user?.settings) {
+        this.settings = { ...this.settings, ...user.settings };
+      }
+      this.renderAccount(usage);
+    } catch (error) {
+      console.warn('⚠️ Could not load account:', error.message);
+    }
+  }
+
+  renderAccount(usage) {
+    document.getElementById('userMenuLabel').textContent = this.user?.email || 'AI Global Networks';
+    document.getElementById('authForm').hidden = !!this.user;
+    document.getElementById('accountInfo').hidden = !this.user;
+
+    if (!this.user) return;
+
+    document.getElementById('accountEmail').textContent = this.user.email;
+    document.getElementById('accountUsage').textContent = usage
+      ? `${usage.tokensUsed.toLocaleString()} of ${usage.tokensLimit.toLocaleString()} tokens used today`
+      : '';
+  }
+
+  async submitAuth(mode) {
+    const form = document.getElementById('authForm');
+    const email = document.getElementById('authEmail').value.trim();
+    const password = document.getElementById('authPassword');
+
+    if (!form.reportValidity()) return;
+
+    const buttons = form.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      const { user } = await API.signIn(mode, email, password.value);
+      password.value = '';
+      this.user = user;
+
+      if (user.settings) {
+        this.settings = { ...this.settings, ...user.settings };
+        this.applySettingsToUI();
+        ChatStore.putSetting('settings', this.settings).catch(() => {});
+      } else {
+        API.saveAccountSettings(this.settings).catch(() => {});
+      }
+
+      // Uploads chats that only exist in this browser and pulls the account's other chats
+      await this.syncFromServer();
+      await this.loadAccount();
+      TabSync.post('account');
+
+      UI.hideModal('userModal');
+      UI.showToast(mode === 'signup' ? `Account created for ${user.email}` : `Signed in as ${user.email}`, 'success');
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+    } finally {
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+
+  async signOut() {
+    await this.flushPendingSync();
+    const unsynced = this.pendingSync.upserts.length > 0;
+    if (!confirm(unsynced
+      ? 'Some chats have not been uploaded to your account yet and will be lost. Sign out anyway?'
+      : 'Sign out? Your chats will be removed from this browser.')) return;
+
+    try {
+      await API.signOut();
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+      return;
+    }
+
+    // The chats belong to the account now; the next guest starts fresh
+    this.user = null;
+    this.chats = [];
+    this.pendingSync = { upserts: [], deletes: [] };
+    this.savePendingSync();
+    Storage.remove('clientId');
+    await ChatStore.clearChats().catch(() => {});
+
+    this.settings = this.defaultSettings();
+    this.saveSettings();
+    this.applySettingsToUI();
+
+    this.currentChatId = null;
+    this.newChat(false);
+    this.loadChatHistory();
+    this.renderAccount();
+    TabSync.post('account');
+
+    UI.hideModal('userModal');
+    UI.showToast('Signed out', 'success');
+  }
+
+  openApiKeysModal() {
+    UI.hideModal('userModal');
+    document.getElementById('newApiKey').hidden = true;
+    UI.showModal('apiKeysModal');
+    this.loadApiKeys();
+  }
+
+  async loadApiKeys() {
+    const list = document.getElementById('apiKeyList');
+    if (!list) return;
+
+    try {
+      const keys = await API.listApiKeys();
+
+      list.innerHTML = keys.filter(key => !key.revokedAt).map((key) => {
+        const details = [
+          key.scopes.join(', '),
+          `${key.limits.requestsPerMinute}/min`,
+          `${key.limits.dailyTokens.toLocaleString()} tokens/day`,
+          key.lastUsedAt ? `last used ${new Date(key.lastUsedAt).toLocaleString()}` : 'never used',
+        ].join(' · ');
+
+        return `
+          <div class="share-link">
+            <div class="share-link-row">
+              <strong>${Utils.escapeHtml(key.name)}</strong>
+              <code>${Utils.escapeHtml(key.hint)}</code>
+            </div>
+            <div class="share-link-row">
+              <span class="share-link-details">${details}</span>
+              <button class="feedback-btn" data-key-id="${Utils.escapeHtml(key.id)}">Revoke</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+    } catch (error) {
+      console.warn('⚠️ Could not load API keys:', error.message);
+      list.innerHTML = '';
+    }
+  }
+
+  async createApiKey() {
+    const button = document.getElementById('createApiKeyBtn');
+    const name = document.getElementById('apiKeyName');
+    const scopes = [
+      document.getElementById('apiKeyScopeChat').checked && 'chat',
+      document.getElementById('apiKeyScopeModels').checked && 'models',
+    ].filter(Boolean);
+
+    if (!name.value.trim() || scopes.length === 0) {
+      UI.showToast('Give the key a name and at least one permission', 'error');
+      return;
+    }
+
+    button.disabled = true;
+
+    try {
+      const { key } = await API.createApiKey({ name: name.value.trim(), scopes });
+      name.value = '';
+
+      const created = document.getElementById('newApiKey');
+      created.querySelector('input').value = key;
+      created.hidden = false;
+
+      await this.loadApiKeys();
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async revokeApiKey(id) {
+    if (!confirm('Revoke this key? Requests using it will be rejected immediately.')) return;
+
+    try {
+      await API.revokeApiKey(id);
+      await this.loadApiKeys();
+      UI.showToast('Key revoked', 'success');
+    } catch (error) {
+      UI.showToast(error.message, 'error');
+    }
   }
 }
 
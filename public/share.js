@@ -0,0 +1,110 @@
+/**
+ * AI Global Networks - Shared Chat Viewer
+ * Renders the read-only transcript behind a /share/:id link
+ */
+
+// ==================== CONFIGURATION ====================
+const SHARE_ENDPOINT = '/api/shares';
+
+// ==================== FORMATTING ====================
+const escapeHtml = (text) => {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+};
+
+const isWebUrl = (href) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(href, window.location.href).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Shared transcripts are public, so raw HTML in messages is shown as text
+// and links that are not http(s) (javascript:, data:, ...) lose their href
+if (typeof marked !== 'undefined') {
+  marked.use({
+    renderer: {
+      html(token) {
+        return escapeHtml(typeof token === 'string' ? token : token.text);
+      },
+      link(token) {
+        if (isWebUrl(token.href)) return false;
+        return `<span>${this.parser.parseInline(token.tokens)}</span>`;
+      },
+    },
+  });
+}
+
+const formatMessage = (content) => {
+  if (typeof marked !== 'undefined') {
+    return marked.parse(content);
+  }
+  return escapeHtml(content).replace(/\n/g, '<br>');
+};
+
+// ==================== RENDERING ====================
+const renderMessage = (container, message) => {
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `message ${message.role}`;
+  messageDiv.innerHTML = `
+    <div class="message-avatar">${message.role === 'user' ? '👤' : '🤖'}</div>
+    <div class="message-content">${formatMessage(message.content)}</div>
+  `;
+
+  if (message.sources?.length > 0) {
+    const sourcesDiv = document.createElement('div');
+    sourcesDiv.className = 'message-sources';
+    sourcesDiv.innerHTML = `
+      <span class="message-sources-label">Sources:</span>
+      ${message.sources.map((source, index) => `
+        <span class="source-chip">[${index + 1}] ${escapeHtml(source.title)}</span>
+      `).join('')}
+    `;
+    messageDiv.querySelector('.message-content').appendChild(sourcesDiv);
+  }
+
+  if (typeof hljs !== 'undefined') {
+    messageDiv.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+  }
+
+  container.appendChild(messageDiv);
+};
+
+const renderShare = (share) => {
+  const container = document.getElementById('messagesContainer');
+  const created = new Date(share.createdAt).toLocaleDateString();
+  const expires = share.expiresAt ? ` · Available until ${new Date(share.expiresAt).toLocaleDateString()}` : '';
+
+  document.title = `${share.title} - AI Global Networks`;
+  document.getElementById('shareTitle').textContent = share.title;
+  document.getElementById('shareMeta').textContent = `Shared ${created}${expires}`;
+
+  container.innerHTML = '';
+  share.messages.forEach(message => renderMessage(container, message));
+};
+
+const showStatus = (text) => {
+  document.getElementById('messagesContainer').innerHTML = `<p class="share-status">${escapeHtml(text)}</p>`;
+};
+
+// ==================== INITIALIZE ====================
+document.addEventListener('DOMContentLoaded', async () => {
+  const id = window.location.pathname.split('/').filter(Boolean).pop();
+
+  try {
+    const response = await fetch(`${SHARE_ENDPOINT}/${encodeURIComponent(id)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      showStatus(data.error || 'This shared chat is not available.');
+      return;
+    }
+
+    renderShare(data);
+  } catch (error) {
+    console.error('❌ Shared chat error:', error);
+    showStatus('Could not load this shared chat. Please try again later.');
+  }
+});
@@ -1,327 +1,3897 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const multer = require('multer');
+const mammoth = require('mammoth');
+// Require the library entry directly; the package index runs a debug harness when loaded as main
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
 require('dotenv').config();
+const packageInfo = require('./package.json');
 
 // ==================== CONFIGURATION ====================
+// Express treats the string "1" as an address to trust, not a hop count
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
 const CONFIG = {
     PORT: process.env.PORT || 3000,
     NODE_ENV: process.env.NODE_ENV || 'development',
-    GROQ_API_KEY: process.env.GROQ_API_KEY,
-    GROQ_API_URL: "https://api.groq.com/openai/v1/chat/completions",
+    LLM_PROVIDER: process.env.LLM_PROVIDER || 'groq',
+    PROVIDERS: {
+        groq: {
+            baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+            apiKey: process.env.GROQ_API_KEY,
+            defaultModel: process.env.GROQ_DEFAULT_MODEL || 'llama-3.3-70b-versatile',
+            models: process.env.GROQ_MODELS,
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY,
+            defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4o-mini',
+            models: process.env.OPENAI_MODELS,
+        },
+        azure: {
+            baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+            apiKey: process.env.AZURE_OPENAI_API_KEY,
+            apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+            defaultModel: process.env.AZURE_OPENAI_DEFAULT_DEPLOYMENT,
+            models: process.env.AZURE_OPENAI_DEPLOYMENTS,
+        },
+        ollama: {
+            baseUrl: process.env.OLLAMA_BASE_URL,
+            apiKey: process.env.OLLAMA_API_KEY,
+            defaultModel: process.env.OLLAMA_DEFAULT_MODEL || 'llama3.1',
+            models: process.env.OLLAMA_MODELS,
+        },
+    },
+    MODEL_ALLOWLIST: process.env.MODEL_ALLOWLIST,
+    MODEL_CATALOG_TTL: parseInt(process.env.MODEL_CATALOG_TTL, 10) || 10 * 60 * 1000, // 10 minutes
     MAX_TOKENS: 2048,
-    RATE_LIMIT_WINDOW: 60000, // 1 minute
-    RATE_LIMIT_MAX: 30, // 30 requests per minute
+    DEFAULT_CONTEXT_WINDOW: 8192, // tokens, for models without catalog metadata
+    CONTEXT_KEEP_RATIO: 0.6, // share of the history budget kept verbatim after condensing
+    SUMMARY_MODEL: process.env.SUMMARY_MODEL,
+    SUMMARY_MAX_TOKENS: 512,
+    FALLBACK_MODELS: process.env.FALLBACK_MODELS, // comma-separated, tried in order when the requested model keeps failing
+    UPSTREAM_MAX_RETRIES: Math.max(0, parseInt(process.env.UPSTREAM_MAX_RETRIES ?? '2', 10) || 0), // per model
+    UPSTREAM_RETRY_BASE_DELAY: 500, // ms, doubled per attempt before jitter
+    UPSTREAM_RETRY_MAX_DELAY: parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY, 10) || 8000, // longer Retry-After waits fail over instead
+    CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5, // consecutive failures before a model is skipped
+    CIRCUIT_RESET_TIMEOUT: parseInt(process.env.CIRCUIT_RESET_TIMEOUT, 10) || 30000, // ms before a skipped model gets a trial request
+    RESPONSE_CACHE_TTL: parseInt(process.env.RESPONSE_CACHE_TTL ?? '3600', 10) || 0, // seconds; 0 disables the cache
+    RESPONSE_CACHE_MAX_ENTRIES: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500,
+    RESPONSE_CACHE_SIMILARITY: parseFloat(process.env.RESPONSE_CACHE_SIMILARITY) || 0, // 0-1 cosine threshold for single-turn matches; 0 disables
+    RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60000, // 1 minute
+    RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX, 10) || 30, // 30 requests per minute per IP
+    RATE_LIMIT_SESSION_MAX: parseInt(process.env.RATE_LIMIT_SESSION_MAX, 10) || 20, // per browser session
+    DAILY_TOKEN_BUDGET: parseInt(process.env.DAILY_TOKEN_BUDGET, 10) || 200000, // tokens per IP per day
+    TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY), // hop count, true, or addresses/subnets to trust
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    MAX_CONVERSATIONS_PER_CLIENT: 500,
+    KNOWLEDGE_DIR: process.env.KNOWLEDGE_DIR || path.join(__dirname, 'knowledge'),
+    KNOWLEDGE_TOP_K: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 4,
+    KNOWLEDGE_CHUNK_SIZE: 1000, // characters per passage
+    ATTACHMENT_MAX_BYTES: 10 * 1024 * 1024, // 10 MB per upload
+    ATTACHMENT_MAX_CHARS: 50000, // extracted text kept per file
+    ATTACHMENT_PROMPT_CHARS: 24000, // attachment text sent to the model per turn
+    MAX_ATTACHMENTS_PER_CLIENT: parseInt(process.env.MAX_ATTACHMENTS_PER_CLIENT, 10) || 100,
+    ATTACHMENT_RETENTION_DAYS: parseInt(process.env.ATTACHMENT_RETENTION_DAYS, 10) || 30,
+    FEEDBACK_COMMENT_MAX: 1000, // characters
+    SHARE_MAX_TTL: 365 * 24 * 60 * 60, // seconds
+    MAX_SHARES_PER_CLIENT: 200,
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+    SESSION_COOKIE: 'sid',
+    SESSION_TTL: parseInt(process.env.SESSION_TTL, 10) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    PASSWORD_MIN_LENGTH: 8,
+    LOGIN_MAX_FAILURES: 5, // failed sign-ins per email before it is locked
+    LOGIN_LOCKOUT: 60 * 1000, // first lockout; doubles with each further failure, up to a day
+    SIGNUPS_PER_IP: parseInt(process.env.SIGNUPS_PER_IP, 10) || 5, // per day, since each account gets its own token budget
+    API_KEY_RATE_LIMIT: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60, // requests per minute per key, at most
+    MAX_API_KEYS_PER_USER: 20,
+    MODEL_PRICES: process.env.MODEL_PRICES, // JSON overrides: {"model": {"input": 0.5, "output": 1.5}} in USD per 1M tokens
+    USAGE_RETENTION_DAYS: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400,
+    SSE_HEARTBEAT_INTERVAL: 15000, // keep-alive comment every 15 seconds
+    SHUTDOWN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 10000,
+    LOG_LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+    LOG_FORMAT: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    BUILD_VERSION: process.env.BUILD_VERSION || packageInfo.version, // e.g. a git SHA injected by CI
+    HEALTH_PROBE_TTL: parseInt(process.env.HEALTH_PROBE_TTL, 10) || 30000, // ms an upstream probe or storage check result is reused
+    HEALTH_PROBE_TIMEOUT: 5000, // ms
 };
 
 // ==================== LOGGER ====================
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that can carry user text or credentials; their values never reach the logs
+const REDACTED_FIELDS = new Set([
+    'content', 'messages', 'prompt', 'systemprompt', 'text', 'comment', 'summary',
+    'password', 'passwordhash', 'authorization', 'cookie', 'token', 'key', 'apikey',
+]);
+
+// Carries the request id through async work so every log line of a request can be correlated
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Leveled logger. Writes JSON lines in production (LOG_FORMAT=json) and
+ * readable text in development; LOG_LEVEL picks the minimum level.
+ */
 const Logger = {
-    info: (message, meta = {}) => {
-        if (CONFIG.NODE_ENV === 'development') {
-            console.log(`[INFO] ${message}`, meta);
+    level: LOG_LEVELS[CONFIG.LOG_LEVEL] ?? LOG_LEVELS.info,
+
+    serializeError(error) {
+        return {
+            name: error.name,
+            message: error.message,
+            ...(error.code && { code: error.code }),
+            ...(CONFIG.NODE_ENV !== 'production' && { stack: error.stack }),
+        };
+    },
+
+    redact(value, depth = 0) {
+        if (value instanceof Error) return this.serializeError(value);
+        if (!value || typeof value !== 'object') return value;
+        if (depth > 4) return '[truncated]';
+        if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+
+        return Object.fromEntries(Object.entries(value).map(([field, inner]) => [
+            field,
+            REDACTED_FIELDS.has(field.toLowerCase()) ? '[redacted]' : this.redact(inner, depth + 1),
+        ]));
+    },
+
+    write(level, message, meta = {}, label = level.toUpperCase()) {
+        if (LOG_LEVELS[level] < this.level) return;
+
+        const fields = this.redact(meta);
+        const requestId = fields.requestId || requestContext.getStore()?.requestId;
+        const output = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+        if (CONFIG.LOG_FORMAT === 'json') {
+            output.write(`${JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                msg: message,
+                ...fields,
+                ...(requestId && { requestId }),
+            })}\n`);
+            return;
+        }
+
+        const details = Object.keys(fields).length > 0 ? [fields] : [];
+        console[level === 'debug' ? 'log' : level](`[${label}] ${message}`, ...details);
+    },
+
+    debug(message, meta) {
+        this.write('debug', message, meta);
+    },
+
+    info(message, meta) {
+        this.write('info', message, meta);
+    },
+
+    warn(message, meta) {
+        this.write('warn', message, meta);
+    },
+
+    error(message, error = {}) {
+        const meta = error instanceof Error || typeof error !== 'object'
+            ? { error: error instanceof Error ? error : String(error) }
+            : error;
+        this.write('error', message, meta);
+    },
+
+    success(message, meta) {
+        this.write('info', message, meta, 'SUCCESS');
+    },
+};
+
+// ==================== METRICS ====================
+/**
+ * In-process counters and histograms rendered in the Prometheus text format at /metrics.
+ */
+const Metrics = {
+    BUCKETS: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60], // seconds
+    series: new Map(), // name -> { type, help, values: Map(label key -> sample) }
+    gauges: new Map(), // name -> { help, read }
+
+    register(name, type, help) {
+        this.series.set(name, { type, help, values: new Map() });
+    },
+
+    gauge(name, help, read) {
+        this.gauges.set(name, { help, read });
+    },
+
+    sample(name, labels) {
+        const metric = this.series.get(name);
+        const key = JSON.stringify(labels);
+
+        if (!metric.values.has(key)) {
+            metric.values.set(key, metric.type === 'histogram'
+                ? { labels, buckets: this.BUCKETS.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+
+        return metric.values.get(key);
+    },
+
+    inc(name, labels = {}, by = 1) {
+        this.sample(name, labels).value += by;
+    },
+
+    observe(name, labels, value) {
+        const sample = this.sample(name, labels);
+        this.BUCKETS.forEach((bound, i) => {
+            if (value <= bound) sample.buckets[i]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    },
+
+    formatLabels(labels) {
+        const pairs = Object.entries(labels).map(([name, value]) => (
+            `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+        ));
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    },
+
+    render() {
+        const lines = [];
+
+        for (const [name, { type, help, values }] of this.series) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+            for (const sample of values.values()) {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${this.formatLabels(sample.labels)} ${sample.value}`);
+                    continue;
+                }
+
+                this.BUCKETS.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${this.formatLabels({ ...sample.labels, le: bound })} ${sample.buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${this.formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+                lines.push(`${name}_sum${this.formatLabels(sample.labels)} ${sample.sum}`);
+                lines.push(`${name}_count${this.formatLabels(sample.labels)} ${sample.count}`);
+            }
+        }
+
+        for (const [name, { help, read }] of this.gauges) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`);
+        }
+
+        return `${lines.join('\n')}\n`;
+    },
+};
+
+Metrics.register('http_requests_total', 'counter', 'HTTP requests by method, route and status code');
+Metrics.register('http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route');
+Metrics.register('llm_upstream_requests_total', 'counter', 'Calls to the LLM provider by provider, status and outcome');
+Metrics.register('llm_upstream_retries_total', 'counter', 'Upstream calls retried after a 429, 5xx or network error, by model');
+Metrics.register('llm_failovers_total', 'counter', 'Chat requests answered by a fallback model, by requested and answering model');
+Metrics.register('llm_circuit_opened_total', 'counter', 'Times a model circuit opened after repeated upstream failures');
+Metrics.register('llm_stream_errors_total', 'counter', 'Response streams that failed after they started');
+Metrics.register('llm_tokens_total', 'counter', 'Tokens used by model and type (prompt or completion)');
+Metrics.register('response_cache_requests_total', 'counter', 'Chat requests by response cache result (hit, similar, miss or bypass)');
+Metrics.gauge('response_cache_entries', 'Replies held in the response cache', () => ResponseCache.entries.size);
+Metrics.gauge('llm_circuits_open', 'Models currently skipped because their circuit is open', () => CircuitBreaker.openCircuits().length);
+Metrics.gauge('sse_active_streams', 'Response streams currently open', () => SSE.activeStreams.size);
+Metrics.gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+Metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process', () => process.memoryUsage().rss);
+
+// ==================== SYSTEM PROMPT ====================
+const SYSTEM_PROMPT = `You are an AI assistant for AI Global Networks, a leading company specializing in AI automation and integration solutions.
+
+When answering questions:
+- Be professional, friendly, and helpful
+- Reference our specific services when relevant
+- Encourage users to explore our solutions
+- Provide accurate information about AI automation
+- Base company facts (services, apps, programs, pricing) only on the knowledge base excerpts provided below
+- If the excerpts do not cover a question about pricing or technical details, say so and suggest contacting our team
+- Always maintain a positive, solution-oriented tone`;
+
+// ==================== KNOWLEDGE BASE ====================
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'this',
+    'to', 'we', 'what', 'which', 'who', 'with', 'you', 'your', 'about', 'tell', 'any', 'have',
+]);
+
+/**
+ * BM25 index over markdown/text documents in KNOWLEDGE_DIR. Documents are
+ * chunked by heading, re-indexed when the folder changes, and the best
+ * passages for each question are injected into the system prompt.
+ */
+const KnowledgeBase = {
+    documents: [],
+    chunks: [],
+    docFreq: new Map(),
+    avgLength: 0,
+    version: null,
+    watcher: null,
+    reloadTimer: null,
+
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token))
+            .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+    },
+
+    listFiles(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(fullPath);
+            return /\.(md|markdown|txt)$/i.test(entry.name) ? [fullPath] : [];
+        });
+    },
+
+    /**
+     * Splits a document into heading-scoped passages no longer than KNOWLEDGE_CHUNK_SIZE.
+     */
+    chunkDocument(document) {
+        const sections = [];
+        let current = { heading: document.title, lines: [] };
+
+        document.text.split(/\r?\n/).forEach((line) => {
+            const heading = line.match(/^#{1,6}\s+(.*)$/);
+            if (heading) {
+                if (current.lines.some(l => l.trim())) sections.push(current);
+                current = { heading: heading[1].trim(), lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        });
+        if (current.lines.some(l => l.trim())) sections.push(current);
+
+        return sections.flatMap((section) => {
+            const paragraphs = section.lines.join('\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+            const passages = [];
+            let buffer = '';
+
+            paragraphs.forEach((paragraph) => {
+                if (buffer && buffer.length + paragraph.length > CONFIG.KNOWLEDGE_CHUNK_SIZE) {
+                    passages.push(buffer);
+                    buffer = '';
+                }
+                buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+            });
+            if (buffer) passages.push(buffer);
+
+            return passages.map(text => ({
+                documentId: document.id,
+                heading: section.heading,
+                text,
+            }));
+        });
+    },
+
+    load() {
+        const hash = crypto.createHash('sha1');
+        const documents = this.listFiles(CONFIG.KNOWLEDGE_DIR).sort().map((file) => {
+            const text = fs.readFileSync(file, 'utf8');
+            const relative = path.relative(CONFIG.KNOWLEDGE_DIR, file).split(path.sep).join('/');
+            const title = text.match(/^#\s+(.*)$/m)?.[1].trim()
+                || path.basename(file).replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+
+            hash.update(relative).update(text);
+            return { id: relative.replace(/\.[^.]+$/, ''), title, file: relative, text };
+        });
+
+        const chunks = documents.flatMap(document => this.chunkDocument(document)).map((chunk, index) => {
+            const document = documents.find(d => d.id === chunk.documentId);
+            const tokens = this.tokenize(`${document.title} ${chunk.heading} ${chunk.text}`);
+            const termFreq = new Map();
+            tokens.forEach(token => termFreq.set(token, (termFreq.get(token) || 0) + 1));
+            return { ...chunk, id: index, length: tokens.length, termFreq };
+        });
+
+        const docFreq = new Map();
+        chunks.forEach(chunk => chunk.termFreq.forEach((_, token) => docFreq.set(token, (docFreq.get(token) || 0) + 1)));
+
+        this.documents = documents.map(({ text, ...document }) => document);
+        this.chunks = chunks;
+        this.docFreq = docFreq;
+        this.avgLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (chunks.length || 1);
+        this.version = hash.digest('hex').slice(0, 12);
+
+        Logger.info(`Knowledge base indexed: ${documents.length} documents, ${chunks.length} passages`);
+    },
+
+    watch() {
+        if (!fs.existsSync(CONFIG.KNOWLEDGE_DIR)) return;
+
+        try {
+            this.watcher = fs.watch(CONFIG.KNOWLEDGE_DIR, { recursive: process.platform !== 'linux' }, () => {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    try {
+                        this.load();
+                    } catch (error) {
+                        Logger.error('Knowledge base reload failed', error);
+                    }
+                }, 500);
+            });
+            this.watcher.unref();
+        } catch (error) {
+            Logger.warn('Knowledge base watching unavailable', { error: error.message });
+        }
+    },
+
+    search(query, limit = CONFIG.KNOWLEDGE_TOP_K) {
+        const terms = [...new Set(this.tokenize(query))];
+        if (terms.length === 0 || this.chunks.length === 0) return [];
+
+        const k1 = 1.2;
+        const b = 0.75;
+        const total = this.chunks.length;
+
+        return this.chunks
+            .map((chunk) => {
+                const score = terms.reduce((sum, term) => {
+                    const tf = chunk.termFreq.get(term);
+                    if (!tf) return sum;
+                    const df = this.docFreq.get(term);
+                    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                    return sum + idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.length / this.avgLength));
+                }, 0);
+                return { chunk, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((x, y) => y.score - x.score)
+            .slice(0, limit);
+    },
+
+    /**
+     * Builds the system prompt for a conversation and reports which documents it cites.
+     * Short follow-ups ("how much is it?") borrow the previous user turn for retrieval.
+     */
+    buildContext(messages) {
+        const userTurns = messages.filter(msg => msg.role === 'user').map(msg => msg.content);
+        let query = userTurns[userTurns.length - 1] || '';
+        if (this.tokenize(query).length < 4 && userTurns.length > 1) {
+            query = `${userTurns[userTurns.length - 2]} ${query}`;
+        }
+
+        const results = this.search(query);
+        const sources = [];
+
+        const excerpts = results.map(({ chunk, score }) => {
+            const document = this.documents.find(d => d.id === chunk.documentId);
+            let source = sources.find(s => s.id === document.id);
+            if (!source) {
+                source = { id: document.id, title: document.title, file: document.file, score: 0 };
+                sources.push(source);
+            }
+            source.score = Math.max(source.score, Number(score.toFixed(3)));
+            return `[${sources.indexOf(source) + 1}] ${document.title} > ${chunk.heading}\n${chunk.text}`;
+        });
+
+        const knowledge = excerpts.length > 0
+            ? `KNOWLEDGE BASE EXCERPTS:\n\n${excerpts.join('\n\n')}`
+            : 'KNOWLEDGE BASE EXCERPTS:\n\n(No matching documents for this question.)';
+
+        return {
+            prompt: `${SYSTEM_PROMPT}\n\n${knowledge}`,
+            sources,
+        };
+    },
+};
+
+// ==================== LLM PROVIDERS ====================
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Builds a provider for any OpenAI-compatible chat completions API.
+ * Provider quirks (auth header, URL layout, body tweaks) are passed in as hooks.
+ */
+const createOpenAICompatibleProvider = ({
+    name,
+    baseUrl,
+    apiKey,
+    defaultModel,
+    models = [],
+    requiresApiKey = true,
+    buildHeaders = (key) => (key ? { 'Authorization': `Bearer ${key}` } : {}),
+    buildChatUrl = (base) => `${base}/chat/completions`,
+    buildModelsUrl = (base) => `${base}/models`,
+    transformBody = (body) => body,
+    streamUsage = true,
+}) => ({
+    name,
+    defaultModel,
+    models,
+
+    isConfigured() {
+        return !!baseUrl && (!requiresApiKey || !!apiKey);
+    },
+
+    supportsModel(model) {
+        return models.includes(model);
+    },
+
+    headers() {
+        return {
+            ...buildHeaders(apiKey),
+            'Content-Type': 'application/json',
+        };
+    },
+
+    async chat(body, { signal } = {}) {
+        // Without stream_options, OpenAI-style APIs omit usage from streamed completions
+        if (body.stream && streamUsage) {
+            body = { ...body, stream_options: { include_usage: true } };
+        }
+
+        return fetch(buildChatUrl(baseUrl.replace(/\/+$/, ''), body.model), {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify(transformBody({ ...body })),
+            signal,
+        });
+    },
+
+    /** Cheap authenticated request for readiness checks; null when the API has no models listing */
+    async probe({ signal } = {}) {
+        if (!buildModelsUrl) return null;
+
+        const response = await fetch(buildModelsUrl(baseUrl.replace(/\/+$/, '')), {
+            headers: this.headers(),
+            signal,
+        });
+        response.body?.cancel().catch(() => {});
+        return response;
+    },
+
+    async listModels() {
+        if (models.length > 0 || !buildModelsUrl) {
+            return models.map(id => ({ id, object: 'model', owned_by: name }));
+        }
+
+        const response = await fetch(buildModelsUrl(baseUrl.replace(/\/+$/, '')), {
+            headers: this.headers(),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch models from ${name}`);
+        }
+
+        const data = await response.json();
+        return data.data || [];
+    },
+});
+
+const ProviderRegistry = {
+    providers: new Map(),
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        return provider;
+    },
+
+    get(name) {
+        return this.providers.get(name);
+    },
+
+    getDefault() {
+        return this.get(CONFIG.LLM_PROVIDER);
+    },
+
+    configured() {
+        return [...this.providers.values()].filter(provider => provider.isConfigured());
+    },
+
+    /**
+     * Maps a requested model to the provider that serves it.
+     * Accepts "provider/model", a model listed by a provider, or falls back to the default provider.
+     */
+    resolve(model) {
+        if (model) {
+            // Catalog ids are unambiguous even when a model id itself contains a slash
+            const entry = ModelCatalog.find(model);
+            if (entry && this.get(entry.provider)) {
+                return { provider: this.get(entry.provider), model: entry.model };
+            }
+
+            const slash = model.indexOf('/');
+            if (slash > 0) {
+                const provider = this.get(model.slice(0, slash));
+                if (provider?.isConfigured()) {
+                    return { provider, model: model.slice(slash + 1) || provider.defaultModel };
+                }
+            }
+
+            const owner = this.configured().find(provider => provider.supportsModel(model));
+            if (owner) {
+                return { provider: owner, model };
+            }
+        }
+
+        const provider = this.getDefault();
+        return { provider, model: model || provider?.defaultModel };
+    },
+};
+
+ProviderRegistry.register(createOpenAICompatibleProvider({
+    name: 'groq',
+    ...CONFIG.PROVIDERS.groq,
+    models: parseList(CONFIG.PROVIDERS.groq.models),
+}));
+
+ProviderRegistry.register(createOpenAICompatibleProvider({
+    name: 'openai',
+    ...CONFIG.PROVIDERS.openai,
+    models: parseList(CONFIG.PROVIDERS.openai.models),
+}));
+
+// Azure routes by deployment name in the URL and authenticates with an api-key header
+ProviderRegistry.register(createOpenAICompatibleProvider({
+    name: 'azure',
+    ...CONFIG.PROVIDERS.azure,
+    models: parseList(CONFIG.PROVIDERS.azure.models),
+    buildHeaders: (key) => ({ 'api-key': key }),
+    buildChatUrl: (base, deployment) =>
+        `${base}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${CONFIG.PROVIDERS.azure.apiVersion}`,
+    buildModelsUrl: null,
+    transformBody: ({ model, ...body }) => body,
+    // stream_options is rejected by api-versions before 2024-09-01
+    streamUsage: CONFIG.PROVIDERS.azure.apiVersion >= '2024-09-01',
+}));
+
+// Local Ollama / llama.cpp servers need no key and ignore top_p tuning
+ProviderRegistry.register(createOpenAICompatibleProvider({
+    name: 'ollama',
+    ...CONFIG.PROVIDERS.ollama,
+    models: parseList(CONFIG.PROVIDERS.ollama.models),
+    requiresApiKey: false,
+    transformBody: ({ top_p, ...body }) => body,
+}));
+
+// ==================== MODEL CATALOG ====================
+// Display metadata for models we know about; anything else gets derived defaults
+const MODEL_METADATA = {
+    'llama-3.3-70b-versatile': {
+        name: 'Llama 3.3 70B',
+        description: 'Most capable model, best for complex tasks',
+        contextWindow: 131072,
+        speed: 'balanced',
+        recommended: true,
+    },
+    'llama-3.1-8b-instant': {
+        name: 'Llama 3.1 8B',
+        description: 'Ultra-fast responses, good for simple queries',
+        contextWindow: 131072,
+        speed: 'fastest',
+    },
+    'meta-llama/llama-4-scout-17b-16e-instruct': {
+        name: 'Llama 4 Scout',
+        description: 'Fast multilingual model with long context',
+        contextWindow: 131072,
+        speed: 'fast',
+    },
+    'meta-llama/llama-4-maverick-17b-128e-instruct': {
+        name: 'Llama 4 Maverick',
+        description: 'Strong reasoning with a mixture-of-experts design',
+        contextWindow: 131072,
+        speed: 'fast',
+    },
+    'openai/gpt-oss-120b': {
+        name: 'GPT-OSS 120B',
+        description: 'Open-weight reasoning model for detailed answers',
+        contextWindow: 131072,
+        speed: 'balanced',
+    },
+    'openai/gpt-oss-20b': {
+        name: 'GPT-OSS 20B',
+        description: 'Efficient open-weight reasoning model',
+        contextWindow: 131072,
+        speed: 'fast',
+    },
+    'qwen/qwen3-32b': {
+        name: 'Qwen 3 32B',
+        description: 'Efficient and versatile',
+        contextWindow: 131072,
+        speed: 'fast',
+    },
+};
+
+const ModelCatalog = {
+    entries: [],
+    updatedAt: 0,
+    refreshing: null,
+
+    /**
+     * Models callers may request: MODEL_ALLOWLIST when set, otherwise the known
+     * models plus each configured provider's default and explicitly listed models.
+     */
+    allowlist() {
+        const configured = parseList(CONFIG.MODEL_ALLOWLIST);
+        if (configured.length > 0) return configured;
+
+        const defaultProvider = ProviderRegistry.getDefault();
+        return [...new Set([
+            ...Object.keys(MODEL_METADATA),
+            ...ProviderRegistry.configured().flatMap(provider => [provider.defaultModel, ...provider.models]
+                .filter(Boolean)
+                .map(model => (provider === defaultProvider ? model : `${provider.name}/${model}`))),
+        ])];
+    },
+
+    isAllowed(model) {
+        if (!this.allowlist().includes(model)) return false;
+
+        // Once upstream has told us a model is retired, stop sending it there
+        const entry = this.find(model);
+        return !entry || entry.available !== false;
+    },
+
+    find(model) {
+        return this.entries.find(entry => entry.id === model) || null;
+    },
+
+    normalize(id, provider, upstream = null) {
+        const metadata = MODEL_METADATA[id] || MODEL_METADATA[upstream?.id] || {};
+        const bareId = upstream?.id || id.slice(id.indexOf('/') + 1);
+
+        return {
+            id,
+            model: upstream?.id || (provider ? id.replace(`${provider}/`, '') : id),
+            provider,
+            name: metadata.name || bareId.replace(/[-_]/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+            description: metadata.description || '',
+            contextWindow: upstream?.context_window || metadata.contextWindow || null,
+            speed: metadata.speed || 'balanced',
+            recommended: !!metadata.recommended,
+            available: upstream ? upstream.active !== false : false,
+        };
+    },
+
+    async refresh() {
+        const defaultProvider = ProviderRegistry.getDefault();
+        const results = await Promise.allSettled(
+            ProviderRegistry.configured().map(async provider => ({
+                provider,
+                models: await provider.listModels(),
+            }))
+        );
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => Logger.warn('Provider model listing failed', { error: result.reason?.message }));
+
+        const fulfilled = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (fulfilled.length === 0) {
+            throw new Error('Failed to fetch models');
+        }
+
+        // Models of non-default providers are namespaced so /api/chat can route them back
+        const upstream = new Map();
+        fulfilled.forEach(({ provider, models }) => models.forEach((model) => {
+            const id = provider === defaultProvider ? model.id : `${provider.name}/${model.id}`;
+            upstream.set(id, { provider: provider.name, model });
+        }));
+
+        const allowlist = this.allowlist();
+        const listedProviders = new Set(fulfilled.map(({ provider }) => provider.name));
+
+        this.entries = allowlist
+            .map((id) => {
+                const found = upstream.get(id);
+                if (found) return this.normalize(id, found.provider, found.model);
+
+                const slash = id.indexOf('/');
+                const prefix = slash > 0 && ProviderRegistry.get(id.slice(0, slash))?.isConfigured()
+                    ? id.slice(0, slash)
+                    : defaultProvider.name;
+                // Only mark as unavailable when we actually heard from the provider that should serve it
+                const entry = this.normalize(id, prefix);
+                entry.available = listedProviders.has(prefix) ? false : null;
+                return entry;
+            })
+            .sort((a, b) => Number(b.recommended) - Number(a.recommended) || Number(b.available) - Number(a.available));
+        this.updatedAt = Date.now();
+
+        return this.entries;
+    },
+
+    /**
+     * Returns the cached catalog, refreshing it when stale. Concurrent callers share one refresh,
+     * and a failed refresh keeps serving the last good catalog.
+     */
+    async get() {
+        if (this.entries.length > 0 && Date.now() - this.updatedAt < CONFIG.MODEL_CATALOG_TTL) {
+            return this.entries;
+        }
+
+        if (!this.refreshing) {
+            this.refreshing = this.refresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        try {
+            return await this.refreshing;
+        } catch (error) {
+            if (this.entries.length > 0) {
+                Logger.warn('Serving stale model catalog', { error: error.message });
+                return this.entries;
+            }
+            throw error;
+        }
+    },
+};
+
+// ==================== VALIDATORS ====================
+// System instructions come from the server; clients may only send conversation turns
+const CHAT_ROLES = ['user', 'assistant'];
+
+const FEEDBACK_REASONS = {
+    up: ['accurate', 'helpful', 'well_written', 'other'],
+    down: ['inaccurate', 'unhelpful', 'incomplete', 'off_topic', 'too_long', 'other'],
+};
+
+const Validators = {
+    validateApiKey() {
+        const provider = ProviderRegistry.getDefault();
+        if (!provider) {
+            Logger.error(`Unknown LLM_PROVIDER "${CONFIG.LLM_PROVIDER}"`);
+            return false;
+        }
+        if (!provider.isConfigured()) {
+            Logger.error(`LLM provider "${provider.name}" is not configured in environment variables`);
+            return false;
         }
+        return true;
     },
 
-    error: (message, error = {}) => {
-        console.error(`[ERROR] ${message}`, error.message || error);
-    },
+    validateChatRequest(body) {
+        const { messages, model, temperature, max_tokens } = body;
+
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return { valid: false, error: 'Messages array is required and cannot be empty' };
+        }
+
+        if (messages.some(msg => !msg || !CHAT_ROLES.includes(msg.role) || typeof msg.content !== 'string' || !msg.content)) {
+            return { valid: false, error: `Each message must have a role (${CHAT_ROLES.join(' or ')}) and text content` };
+        }
+
+        if (temperature && (temperature < 0 || temperature > 2)) {
+            return { valid: false, error: 'Temperature must be between 0 and 2' };
+        }
+
+        if (max_tokens && (max_tokens < 1 || max_tokens > 4096)) {
+            return { valid: false, error: 'Max tokens must be between 1 and 4096' };
+        }
+
+        if (messages.some(msg => msg.attachments !== undefined
+            && (!Array.isArray(msg.attachments) || msg.attachments.some(a => !a || typeof a.id !== 'string')))) {
+            return { valid: false, error: 'Message attachments must be a list of { id } objects' };
+        }
+
+        const { summary } = body;
+        if (summary !== undefined && summary !== null && (
+            typeof summary.content !== 'string'
+            || summary.content.length > 8000
+            || !Number.isInteger(summary.count)
+            || summary.count < 0
+        )) {
+            return { valid: false, error: 'Summary must have string content and a non-negative integer count' };
+        }
+
+        if (model && !ModelCatalog.isAllowed(model)) {
+            return { valid: false, error: `Model "${model}" is not available` };
+        }
+
+        const { provider } = ProviderRegistry.resolve(model);
+        if (!provider || !provider.isConfigured()) {
+            return { valid: false, error: `No configured provider for model "${model}"` };
+        }
+
+        return { valid: true };
+    },
+
+    validateFeedback(body) {
+        const { conversationId, messageId, rating, reason, comment, model, topic } = body || {};
+
+        if (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+            return { valid: false, error: 'A valid conversationId is required' };
+        }
+
+        if (typeof messageId !== 'string' || !CONVERSATION_ID_PATTERN.test(messageId)) {
+            return { valid: false, error: 'A valid messageId is required' };
+        }
+
+        if (!Object.keys(FEEDBACK_REASONS).includes(rating)) {
+            return { valid: false, error: 'Rating must be "up" or "down"' };
+        }
+
+        if (reason !== undefined && reason !== null && !FEEDBACK_REASONS[rating].includes(reason)) {
+            return { valid: false, error: `Reason must be one of: ${FEEDBACK_REASONS[rating].join(', ')}` };
+        }
+
+        if (comment !== undefined && comment !== null
+            && (typeof comment !== 'string' || comment.length > CONFIG.FEEDBACK_COMMENT_MAX)) {
+            return { valid: false, error: `Comment must be a string of at most ${CONFIG.FEEDBACK_COMMENT_MAX} characters` };
+        }
+
+        if (model !== undefined && (typeof model !== 'string' || model.length > 200)) {
+            return { valid: false, error: 'Model must be a string' };
+        }
+
+        if (topic !== undefined && (typeof topic !== 'string' || topic.length > 200)) {
+            return { valid: false, error: 'Topic must be a string' };
+        }
+
+        return { valid: true };
+    },
+
+    validateShare(body) {
+        const { conversationId, title, messages, hideUserMessages, expiresIn } = body || {};
+
+        if (conversationId !== undefined && (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId))) {
+            return { valid: false, error: 'Invalid conversationId' };
+        }
+
+        const conversation = this.validateConversation({ title, messages });
+        if (!conversation.valid) return conversation;
+
+        if (!Array.isArray(messages) || !messages.some(msg => msg.role === 'assistant')) {
+            return { valid: false, error: 'A shared chat needs at least one assistant message' };
+        }
+
+        if (hideUserMessages !== undefined && typeof hideUserMessages !== 'boolean') {
+            return { valid: false, error: 'hideUserMessages must be a boolean' };
+        }
+
+        if (expiresIn !== undefined && expiresIn !== null
+            && (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > CONFIG.SHARE_MAX_TTL)) {
+            return { valid: false, error: `expiresIn must be between 60 and ${CONFIG.SHARE_MAX_TTL} seconds` };
+        }
+
+        return { valid: true };
+    },
+
+    validateConversation(body) {
+        const { title, model, messages, tree } = body || {};
+
+        if (title !== undefined && (typeof title !== 'string' || title.length > 200)) {
+            return { valid: false, error: 'Title must be a string of at most 200 characters' };
+        }
+
+        if (model !== undefined && typeof model !== 'string') {
+            return { valid: false, error: 'Model must be a string' };
+        }
+
+        if (messages !== undefined) {
+            if (!Array.isArray(messages)) {
+                return { valid: false, error: 'Messages must be an array' };
+            }
+
+            if (messages.some(msg => !msg || !['user', 'assistant', 'system'].includes(msg.role) || typeof msg.content !== 'string')) {
+                return { valid: false, error: 'Each message must have a valid role and string content' };
+            }
+        }
+
+        // Branching history: { nodes: { id: message }, rootIds, selected }
+        if (tree !== undefined && tree !== null) {
+            if (typeof tree !== 'object' || !tree.nodes || typeof tree.nodes !== 'object' || !Array.isArray(tree.rootIds)) {
+                return { valid: false, error: 'Tree must have nodes and rootIds' };
+            }
+
+            if (Object.values(tree.nodes).some(node => !node || !['user', 'assistant', 'system'].includes(node.role)
+                || typeof node.content !== 'string' || !Array.isArray(node.children))) {
+                return { valid: false, error: 'Each tree node must have a valid role, string content and children' };
+            }
+        }
+
+        return { valid: true };
+    },
+
+    validateCredentials(body) {
+        const { email, password } = body || {};
+
+        if (typeof email !== 'string' || email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+            return { valid: false, error: 'A valid email address is required' };
+        }
+
+        if (typeof password !== 'string' || password.length < CONFIG.PASSWORD_MIN_LENGTH || password.length > 200) {
+            return { valid: false, error: `Password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters` };
+        }
+
+        return { valid: true };
+    },
+
+    validateApiKeyRequest(body) {
+        const { name, scopes, limits } = body || {};
+
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            return { valid: false, error: 'Name must be a string of 1-100 characters' };
+        }
+
+        if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0
+            || scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+            return { valid: false, error: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
+        }
+
+        if (limits !== undefined) {
+            const { requestsPerMinute, dailyTokens } = limits || {};
+
+            if (requestsPerMinute !== undefined
+                && (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1 || requestsPerMinute > CONFIG.API_KEY_RATE_LIMIT)) {
+                return { valid: false, error: `requestsPerMinute must be between 1 and ${CONFIG.API_KEY_RATE_LIMIT}` };
+            }
+
+            if (dailyTokens !== undefined
+                && (!Number.isInteger(dailyTokens) || dailyTokens < 1 || dailyTokens > CONFIG.DAILY_TOKEN_BUDGET)) {
+                return { valid: false, error: `dailyTokens must be between 1 and ${CONFIG.DAILY_TOKEN_BUDGET}` };
+            }
+        }
+
+        return { valid: true };
+    },
+
+    validateSettings(body) {
+        const { model, temperature, stream } = body || {};
+
+        if (model !== undefined && (typeof model !== 'string' || model.length > 100)) {
+            return { valid: false, error: 'Model must be a string' };
+        }
+
+        if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+            return { valid: false, error: 'Temperature must be between 0 and 2' };
+        }
+
+        if (stream !== undefined && typeof stream !== 'boolean') {
+            return { valid: false, error: 'stream must be a boolean' };
+        }
+
+        return { valid: true };
+    },
+};
+
+// ==================== UPSTREAM RESILIENCE ====================
+// Rate limits, timeouts and server errors are worth retrying; other 4xx mean the request itself is wrong
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Per-model circuit breakers keyed by "provider/model". After
+ * CIRCUIT_FAILURE_THRESHOLD consecutive failures a model is skipped for
+ * CIRCUIT_RESET_TIMEOUT; then a single trial request either closes the
+ * circuit again or keeps it open for another period.
+ */
+const CircuitBreaker = {
+    circuits: new Map(), // key -> { state: 'closed' | 'open' | 'half-open', failures, openedAt, trial }
+
+    get(key) {
+        if (!this.circuits.has(key)) {
+            this.circuits.set(key, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+        }
+        return this.circuits.get(key);
+    },
+
+    /** Whether a request may go out now. A half-open circuit lets exactly one through */
+    allow(key) {
+        const circuit = this.get(key);
+        if (circuit.state === 'closed') return true;
+
+        if (circuit.state === 'open') {
+            if (Date.now() - circuit.openedAt < CONFIG.CIRCUIT_RESET_TIMEOUT) return false;
+            circuit.state = 'half-open';
+            circuit.trial = false;
+        }
+
+        if (circuit.trial) return false;
+        circuit.trial = true;
+        return true;
+    },
+
+    success(key) {
+        const circuit = this.get(key);
+        if (circuit.state !== 'closed') {
+            Logger.info('Upstream circuit closed', { circuit: key });
+        }
+        Object.assign(circuit, { state: 'closed', failures: 0, trial: false });
+    },
+
+    failure(key) {
+        const circuit = this.get(key);
+        circuit.failures++;
+        circuit.trial = false;
+
+        if (circuit.state === 'half-open' || circuit.failures >= CONFIG.CIRCUIT_FAILURE_THRESHOLD) {
+            if (circuit.state === 'closed') {
+                Logger.warn('Upstream circuit opened', { circuit: key, failures: circuit.failures });
+                Metrics.inc('llm_circuit_opened_total', { circuit: key });
+            }
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    },
+
+    // A cancelled trial says nothing about the upstream, so free the slot for the next request
+    release(key) {
+        this.get(key).trial = false;
+    },
+
+    /** Seconds until the first of these circuits accepts a trial request */
+    retryAfter(keys) {
+        const waits = keys.map((key) => {
+            const circuit = this.get(key);
+            return circuit.state === 'open' ? circuit.openedAt + CONFIG.CIRCUIT_RESET_TIMEOUT - Date.now() : 0;
+        });
+        return Math.max(1, Math.ceil(Math.min(...waits) / 1000));
+    },
+
+    openCircuits() {
+        return [...this.circuits.entries()]
+            .filter(([, circuit]) => circuit.state !== 'closed')
+            .map(([key]) => key);
+    },
+};
+
+// ==================== LLM API CLIENT ====================
+const GroqClient = {
+    /**
+     * Sends a chat request, retrying and failing over between models.
+     * Retryable failures are retried on the same model with jittered backoff,
+     * waiting out the upstream Retry-After when it is short enough, before the
+     * next model in FALLBACK_MODELS is tried. Resolves to
+     * `{ response, routing, retryAfter }`: `response` is the answering (or last
+     * failed) upstream response, null when every model's circuit was open;
+     * `routing` names the model it came from; `retryAfter` (seconds) is set
+     * when every model failed.
+     */
+    async complete(messages, options = {}) {
+        const candidates = this.candidates(options.model);
+        if (candidates.length === 0) {
+            throw new Error(`No configured LLM provider serves "${options.model || CONFIG.LLM_PROVIDER}"`);
+        }
+
+        const requestedModel = candidates[0].id;
+        let lastResponse = null;
+        let lastCandidate = candidates[0];
+        let lastRetryAfter = null;
+        let attempts = 0;
+
+        for (const candidate of candidates) {
+            let delay = 0;
+
+            for (let attempt = 0; attempt <= CONFIG.UPSTREAM_MAX_RETRIES; attempt++) {
+                // An open circuit fails over at once rather than after the backoff
+                if (!CircuitBreaker.allow(candidate.key)) break;
+                if (attempt > 0) {
+                    await this.sleep(delay, options.signal).catch((error) => {
+                        CircuitBreaker.release(candidate.key);
+                        throw error;
+                    });
+                }
+
+                if (attempt > 0) {
+                    Logger.warn('Retrying upstream request', { model: candidate.id, attempt, delayMs: delay });
+                    Metrics.inc('llm_upstream_retries_total', { model: candidate.id });
+                }
+                attempts++;
+
+                let response;
+                try {
+                    response = await this.sendRequest(messages, { ...options, model: candidate.id });
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        CircuitBreaker.release(candidate.key);
+                        throw error;
+                    }
+                    CircuitBreaker.failure(candidate.key);
+                    delay = this.backoff(attempt);
+                    continue;
+                }
+
+                if (response.ok || !RETRYABLE_STATUSES.has(response.status)) {
+                    CircuitBreaker.success(candidate.key);
+                    return { response, routing: this.routing(requestedModel, candidate, attempts) };
+                }
+
+                CircuitBreaker.failure(candidate.key);
+                // Free the connection held by the previous failure; only the last one is reported
+                lastResponse?.body?.cancel().catch(() => {});
+                lastResponse = response;
+                lastCandidate = candidate;
+
+                const retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+                lastRetryAfter = retryAfter;
+                if (retryAfter > CONFIG.UPSTREAM_RETRY_MAX_DELAY) break;
+                delay = retryAfter ?? this.backoff(attempt);
+            }
+
+            if (candidate !== candidates[candidates.length - 1]) {
+                Logger.warn('Failing over to the next model', { model: candidate.id });
+            }
+        }
+
+        return {
+            response: lastResponse,
+            routing: this.routing(requestedModel, lastCandidate, attempts),
+            retryAfter: lastRetryAfter !== null
+                ? Math.max(1, Math.ceil(lastRetryAfter / 1000))
+                : CircuitBreaker.retryAfter(candidates.map(candidate => candidate.key)),
+        };
+    },
+
+    /** The requested model followed by the configured fallbacks, one per provider/model */
+    candidates(requested) {
+        const seen = new Set();
+
+        return [requested || ProviderRegistry.getDefault()?.defaultModel, ...parseList(CONFIG.FALLBACK_MODELS)]
+            .filter(Boolean)
+            .map((id) => {
+                const { provider, model } = ProviderRegistry.resolve(id);
+                return { id, provider, key: `${provider?.name}/${model}` };
+            })
+            .filter((candidate) => {
+                // resolve() falls back to the default provider, which would send "ollama/llama3.1" to Groq.
+                // Ids the catalog or a provider lists, such as Groq's "openai/gpt-oss-120b", are not prefixes.
+                const prefix = ProviderRegistry.get(candidate.id.split('/')[0]);
+                const listed = ModelCatalog.find(candidate.id) || candidate.provider?.supportsModel(candidate.id);
+                if (prefix && prefix !== candidate.provider && !listed) return false;
+                if (!candidate.provider?.isConfigured() || seen.has(candidate.key)) return false;
+                seen.add(candidate.key);
+                return true;
+            });
+    },
+
+    routing(requestedModel, candidate, attempts) {
+        const fallback = candidate.id !== requestedModel;
+        if (fallback) {
+            Metrics.inc('llm_failovers_total', { requested: requestedModel, model: candidate.id });
+        }
+        return { model: candidate.id, requestedModel, fallback, attempts };
+    },
+
+    // Retry-After is either delay-seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    // Full jitter: anywhere up to the exponential ceiling, so concurrent retries spread out
+    backoff(attempt) {
+        const ceiling = Math.min(CONFIG.UPSTREAM_RETRY_MAX_DELAY, CONFIG.UPSTREAM_RETRY_BASE_DELAY * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    },
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(new DOMException('The operation was aborted', 'AbortError'));
+            }
+
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted', 'AbortError'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    async sendRequest(messages, options = {}) {
+        const {
+            temperature = 0.7,
+            max_tokens = CONFIG.MAX_TOKENS,
+            stream = false,
+            signal,
+            systemPrompt = SYSTEM_PROMPT,
+        } = options;
+
+        const { provider, model } = ProviderRegistry.resolve(options.model);
+        if (!provider || !provider.isConfigured()) {
+            throw new Error(`LLM provider "${provider?.name || CONFIG.LLM_PROVIDER}" is not configured`);
+        }
+
+        const systemMessage = {
+            role: 'system',
+            content: systemPrompt,
+        };
+
+        // Client-side metadata (sources, ids) must not reach the upstream API
+        const requestBody = {
+            model,
+            messages: [systemMessage, ...messages.map(({ role, content }) => ({ role, content }))],
+            temperature,
+            max_tokens,
+            top_p: 1,
+            stream,
+        };
+
+        try {
+            const response = await provider.chat(requestBody, { signal });
+            Metrics.inc('llm_upstream_requests_total', {
+                provider: provider.name,
+                status: response.status,
+                outcome: response.ok ? 'success' : 'error',
+            });
+
+            return response;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                Metrics.inc('llm_upstream_requests_total', { provider: provider.name, status: 'network_error', outcome: 'error' });
+                Logger.error(`${provider.name} API request failed`, error);
+            }
+            throw error;
+        }
+    },
+};
+
+// ==================== RESPONSE CACHE ====================
+/**
+ * In-memory cache of finished replies, so repeat questions skip the upstream call.
+ * Exact hits need the same normalized conversation, model, temperature and
+ * token limit. With RESPONSE_CACHE_SIMILARITY set, a single-turn question may
+ * also reuse the reply to a close enough earlier question. Entries expire after
+ * RESPONSE_CACHE_TTL and are all dropped when the system prompt or knowledge
+ * base changes.
+ */
+const ResponseCache = {
+    entries: new Map(), // key -> entry, least recently used first
+    generation: null,
+
+    enabled() {
+        return CONFIG.RESPONSE_CACHE_TTL > 0;
+    },
+
+    hash(value) {
+        return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+    },
+
+    normalize(text) {
+        return text.trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    // Answers are only valid for the prompt and documents they were generated from
+    sync() {
+        const generation = this.hash([SYSTEM_PROMPT, KnowledgeBase.version]);
+        if (generation === this.generation) return;
+
+        if (this.entries.size > 0) {
+            Logger.info('Response cache cleared: system prompt or knowledge base changed', { entries: this.entries.size });
+        }
+        this.entries.clear();
+        this.generation = generation;
+    },
+
+    /**
+     * Cache identity of a chat request, or null when it must not be cached.
+     * Attachments are private to their owner, so those conversations never are.
+     */
+    describe({ messages, model, temperature, max_tokens, summary }) {
+        if (!this.enabled() || messages.some(msg => msg.attachments?.length > 0)) return null;
+
+        this.sync();
+        const scope = this.hash([
+            this.generation,
+            model || ProviderRegistry.getDefault()?.defaultModel,
+            temperature ?? 0.7,
+            max_tokens || CONFIG.MAX_TOKENS,
+        ]);
+        const singleTurn = messages.length === 1 && messages[0].role === 'user' && !summary;
+
+        return {
+            scope,
+            key: this.hash([
+                scope,
+                messages.map(msg => [msg.role, this.normalize(msg.content)]),
+                summary ? [summary.count, summary.content] : null,
+            ]),
+            terms: singleTurn ? this.termVector(messages[0].content) : null,
+        };
+    },
+
+    termVector(text) {
+        const vector = new Map();
+        KnowledgeBase.tokenize(text).forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+        return vector;
+    },
+
+    cosine(a, b) {
+        let dot = 0;
+        a.forEach((count, term) => {
+            dot += count * (b.get(term) || 0);
+        });
+        const norm = vector => Math.sqrt([...vector.values()].reduce((sum, count) => sum + count * count, 0));
+        return dot === 0 ? 0 : dot / (norm(a) * norm(b));
+    },
+
+    expired(entry) {
+        return Date.now() - entry.createdAt > CONFIG.RESPONSE_CACHE_TTL * 1000;
+    },
+
+    /** Resolves to `{ entry, similarity }` (similarity only for non-exact matches) or null */
+    lookup({ scope, key, terms }) {
+        const exact = this.entries.get(key);
+        if (exact && !this.expired(exact)) {
+            this.touch(key, exact);
+            return { entry: exact };
+        }
+
+        if (!terms || terms.size === 0 || !CONFIG.RESPONSE_CACHE_SIMILARITY) return null;
+
+        let best = null;
+        for (const [entryKey, entry] of this.entries) {
+            if (this.expired(entry)) {
+                this.entries.delete(entryKey);
+                continue;
+            }
+            if (entry.scope !== scope || !entry.terms) continue;
+
+            const similarity = this.cosine(terms, entry.terms);
+            if (similarity >= CONFIG.RESPONSE_CACHE_SIMILARITY && (!best || similarity > best.similarity)) {
+                best = { key: entryKey, entry, similarity };
+            }
+        }
+
+        if (!best) return null;
+        this.touch(best.key, best.entry);
+        return { entry: best.entry, similarity: best.similarity };
+    },
+
+    // Re-inserting moves the entry to the back of the eviction order
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        entry.hits++;
+    },
+
+    store({ scope, key, terms }, reply) {
+        this.entries.delete(key);
+        this.entries.set(key, { ...reply, scope, terms, createdAt: Date.now(), hits: 0 });
+
+        while (this.entries.size > CONFIG.RESPONSE_CACHE_MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    },
+
+    /** A finished reply replayed as an upstream-style SSE body, for SSE.relay */
+    toStream({ message, model }) {
+        const chunks = [
+            { choices: [{ delta: { role: 'assistant', content: message } }], model },
+            { choices: [{ delta: {}, finish_reason: 'stop' }], model },
+        ];
+        const body = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+        return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    },
+};
+
+// ==================== CONTEXT BUDGET ====================
+const SUMMARY_PROMPT = `You condense chat history for an AI assistant. Write a concise summary of the conversation below, keeping names, numbers, decisions, open questions and anything the user asked the assistant to remember. Write in third person, plain prose, at most 200 words. Do not answer the conversation.`;
+
+const TokenEstimator = {
+    // Rough characters-per-token ratios by model family
+    ratios: [
+        [/llama|meta-llama/i, 3.8],
+        [/qwen/i, 3.5],
+        [/gpt|openai/i, 4],
+    ],
+
+    estimate(text, model = '') {
+        if (!text) return 0;
+
+        const ratio = this.ratios.find(([pattern]) => pattern.test(model))?.[1] || 4;
+        const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+        return Math.ceil((text.length - nonAscii) / ratio + nonAscii);
+    },
+
+    // Each chat message carries a few tokens of role/formatting overhead
+    estimateMessages(messages, model) {
+        return messages.reduce((sum, msg) => sum + 4 + this.estimate(msg.content, model), 0);
+    },
+};
+
+/**
+ * Fits a conversation into the model's context window. Older turns are folded
+ * into a rolling summary that the client sends back as `summary: { content, count }`,
+ * where `count` is how many leading messages the summary replaces.
+ */
+const ContextBudget = {
+    contextWindow(model) {
+        return ModelCatalog.find(model)?.contextWindow
+            || MODEL_METADATA[model]?.contextWindow
+            || CONFIG.DEFAULT_CONTEXT_WINDOW;
+    },
+
+    summaryMessage(summary) {
+        return {
+            role: 'system',
+            content: `Summary of the earlier conversation:\n${summary}`,
+        };
+    },
+
+    async summarize(previousSummary, messages, { signal, onUsage } = {}) {
+        const transcript = messages
+            .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content.slice(0, 2000)}`)
+            .join('\n\n');
+        const content = previousSummary
+            ? `Summary so far:\n${previousSummary}\n\nNew messages:\n${transcript}`
+            : transcript;
+
+        const startedAt = Date.now();
+        const { response } = await GroqClient.complete([{ role: 'user', content }], {
+            model: CONFIG.SUMMARY_MODEL,
+            systemPrompt: SUMMARY_PROMPT,
+            temperature: 0.2,
+            max_tokens: CONFIG.SUMMARY_MAX_TOKENS,
+            signal,
+        });
+
+        if (!response?.ok) {
+            throw new Error(`Summarization failed with status ${response?.status ?? 503}`);
+        }
+
+        const data = await response.json();
+        onUsage?.(data.usage, data.model, startedAt);
+        const summary = data.choices?.[0]?.message?.content?.trim();
+        if (!summary) {
+            throw new Error('Summarization returned no content');
+        }
+        return summary;
+    },
+
+    /**
+     * Returns the messages to send plus a `context` report for the client.
+     * `error` is set when even the latest message cannot fit.
+     */
+    async prepare(messages, { model, systemPrompt, maxTokens = CONFIG.MAX_TOKENS, summary, signal, onUsage } = {}) {
+        const resolvedModel = model || ProviderRegistry.getDefault()?.defaultModel;
+        const windowSize = this.contextWindow(resolvedModel);
+        const budget = Math.floor(windowSize * 0.95) - maxTokens - TokenEstimator.estimate(systemPrompt, resolvedModel);
+
+        const summaryCount = summary && summary.count <= messages.length ? summary.count : 0;
+        let summaryText = summaryCount > 0 ? summary.content : null;
+        let recent = messages.slice(summaryCount);
+
+        const withSummary = () => (summaryText ? [this.summaryMessage(summaryText), ...recent] : recent);
+        const estimated = TokenEstimator.estimateMessages(withSummary(), resolvedModel);
+
+        if (estimated <= budget) {
+            return {
+                messages: withSummary(),
+                context: { condensed: summaryCount > 0, summary: summaryText ? { content: summaryText, count: summaryCount } : null, estimatedTokens: estimated, contextWindow: windowSize },
+            };
+        }
+
+        // Keep the newest turns verbatim, always including the latest message
+        const keepBudget = Math.floor(budget * CONFIG.CONTEXT_KEEP_RATIO);
+        let keepFrom = messages.length - 1;
+        let kept = TokenEstimator.estimateMessages([messages[keepFrom]], resolvedModel);
+
+        if (kept > budget) {
+            return {
+                error: `Your message is too long for this model (about ${kept} tokens, limit ${Math.max(budget, 0)}). Please shorten it.`,
+            };
+        }
+
+        while (keepFrom - 1 >= summaryCount) {
+            const next = TokenEstimator.estimateMessages([messages[keepFrom - 1]], resolvedModel);
+            if (kept + next > keepBudget) break;
+            kept += next;
+            keepFrom--;
+        }
+
+        const toCondense = messages.slice(summaryCount, keepFrom);
+        let trimmed = false;
+
+        try {
+            summaryText = await this.summarize(summaryText, toCondense, { signal, onUsage });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // Summaries are best effort: fall back to dropping the oldest turns
+            Logger.warn('Context summarization failed, trimming history instead', { error: error.message });
+            trimmed = true;
+        }
+
+        recent = messages.slice(keepFrom);
+
+        return {
+            messages: withSummary(),
+            context: {
+                condensed: true,
+                trimmed,
+                summary: summaryText ? { content: summaryText, count: trimmed ? summaryCount : keepFrom } : null,
+                droppedMessages: trimmed ? keepFrom - summaryCount : 0,
+                estimatedTokens: TokenEstimator.estimateMessages(withSummary(), resolvedModel),
+                contextWindow: windowSize,
+            },
+        };
+    },
+};
+
+// ==================== ATTACHMENTS ====================
+const AttachmentExtractor = {
+    types: {
+        '.txt': {
+            mimeTypes: ['text/plain'],
+            matches: buffer => !buffer.includes(0),
+            extract: async buffer => buffer.toString('utf8'),
+        },
+        '.md': {
+            mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain'],
+            matches: buffer => !buffer.includes(0),
+            extract: async buffer => buffer.toString('utf8'),
+        },
+        '.pdf': {
+            mimeTypes: ['application/pdf'],
+            matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+            extract: async buffer => (await pdfParse(buffer)).text,
+        },
+        '.docx': {
+            mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+            // DOCX files are zip archives
+            matches: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+            extract: async buffer => (await mammoth.extractRawText({ buffer })).value,
+        },
+    },
+
+    supportedExtensions() {
+        return Object.keys(this.types);
+    },
+
+    /**
+     * Checks an uploaded file by extension, declared MIME type and magic bytes,
+     * then extracts its text. Throws with `status` set for client errors.
+     */
+    async extract(file) {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const type = this.types[extension];
+        const reject = (status, message) => Object.assign(new Error(message), { status });
+
+        if (!type) {
+            throw reject(415, `Unsupported file type. Supported types: ${this.supportedExtensions().join(', ')}`);
+        }
+
+        // Browsers send an empty or generic type for some files, so only reject explicit mismatches
+        const genericMime = !file.mimetype || file.mimetype === 'application/octet-stream';
+        if ((!genericMime && !type.mimeTypes.includes(file.mimetype)) || !type.matches(file.buffer)) {
+            throw reject(415, `File content does not match its ${extension} extension`);
+        }
+
+        let text;
+        try {
+            text = await type.extract(file.buffer);
+        } catch (error) {
+            Logger.warn('Attachment extraction failed', { filename: file.originalname, error: error.message });
+            throw reject(422, 'Could not read text from this file. It may be encrypted or corrupted.');
+        }
+
+        text = text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+        if (!text) {
+            throw reject(422, 'No readable text found in this file. Scanned documents are not supported.');
+        }
+
+        const truncated = text.length > CONFIG.ATTACHMENT_MAX_CHARS;
+        return {
+            text: truncated ? text.slice(0, CONFIG.ATTACHMENT_MAX_CHARS) : text,
+            truncated,
+        };
+    },
+
+    /**
+     * Builds the prompt section for attachments referenced in a conversation,
+     * sharing ATTACHMENT_PROMPT_CHARS between them.
+     */
+    buildPromptSection(ownerId, messages) {
+        const ids = [...new Set(messages.flatMap(msg => (Array.isArray(msg.attachments) ? msg.attachments : []))
+            .map(attachment => attachment?.id)
+            .filter(Boolean))];
+
+        const attachments = ids
+            .map(id => Stores.attachments.get(id))
+            .filter(attachment => attachment && attachment.ownerId === ownerId);
+
+        if (attachments.length === 0) return '';
+
+        const share = Math.floor(CONFIG.ATTACHMENT_PROMPT_CHARS / attachments.length);
+        const sections = attachments.map((attachment) => {
+            const clipped = attachment.text.length > share;
+            return `--- ${attachment.filename}${clipped || attachment.truncated ? ' (excerpt)' : ''} ---\n${attachment.text.slice(0, share)}`;
+        });
+
+        return `ATTACHED DOCUMENTS (provided by the user for this conversation):\n\n${sections.join('\n\n')}`;
+    },
+
+    sweep() {
+        const cutoff = Date.now() - CONFIG.ATTACHMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        Stores.attachments.filter(attachment => attachment.createdAt < cutoff)
+            .forEach(attachment => Stores.attachments.delete(attachment.id));
+    },
+};
+
+setInterval(() => AttachmentExtractor.sweep(), 60 * 60 * 1000).unref();
+
+// ==================== PERSISTENT STORE ====================
+/**
+ * File-backed collection of JSON records keyed by id.
+ * Records are held in memory and flushed to DATA_DIR/<name>.json with an atomic rename.
+ */
+const createJsonStore = (name) => {
+    const filePath = path.join(CONFIG.DATA_DIR, `${name}.json`);
+    const records = new Map();
+    let flushTimer = null;
+    let flushError = null;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.entries(saved).forEach(([id, record]) => records.set(id, record));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            Logger.error(`Failed to load ${name} store`, error);
+        }
+    }
+
+    const flushSync = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        try {
+            fs.mkdirSync(CONFIG.DATA_DIR, { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(records)));
+            fs.renameSync(tmpPath, filePath);
+            flushError = null;
+        } catch (error) {
+            flushError = error;
+            Logger.error(`Failed to persist ${name} store`, error);
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flushSync, 500);
+        }
+    };
+
+    return {
+        name,
+
+        get(id) {
+            return records.get(id) || null;
+        },
+
+        all() {
+            return [...records.values()];
+        },
+
+        filter(predicate) {
+            return this.all().filter(predicate);
+        },
+
+        set(id, record) {
+            records.set(id, record);
+            scheduleFlush();
+            return record;
+        },
+
+        delete(id) {
+            const existed = records.delete(id);
+            if (existed) scheduleFlush();
+            return existed;
+        },
+
+        flush: flushSync,
+
+        // The last failed flush, cleared by the next successful one
+        lastError() {
+            return flushError;
+        },
+    };
+};
+
+const Stores = {
+    conversations: createJsonStore('conversations'),
+    attachments: createJsonStore('attachments'),
+    feedback: createJsonStore('feedback'),
+    shares: createJsonStore('shares'),
+    users: createJsonStore('users'),
+    sessions: createJsonStore('sessions'),
+    apiKeys: createJsonStore('api-keys'),
+    usage: createJsonStore('usage'),
+
+    flushAll() {
+        Object.values(this)
+            .filter(store => typeof store === 'object' && store.flush)
+            .forEach(store => store.flush());
+    },
+};
+
+// ==================== HEALTH CHECKS ====================
+/**
+ * Dependency checks behind the liveness and readiness endpoints. Upstream
+ * probes and the storage write test are cached for HEALTH_PROBE_TTL, so
+ * frequent or unauthenticated polling doesn't spend provider quota or disk I/O.
+ */
+const Health = {
+    probes: new Map(), // provider name -> { result, checkedAt, pending }
+    lastResults: {}, // reported by liveness, which never runs checks itself
+    storageProbe: {}, // { result, checkedAt, pending } for the DATA_DIR write test
+
+    info() {
+        return {
+            version: CONFIG.BUILD_VERSION,
+            uptime: Math.round(process.uptime()),
+            timestamp: new Date().toISOString(),
+        };
+    },
+
+    /** Probes a provider at most once per TTL; concurrent callers share the in-flight probe */
+    probeProvider(provider) {
+        const cached = this.probes.get(provider.name) || {};
+        if (cached.result && Date.now() - cached.checkedAt < CONFIG.HEALTH_PROBE_TTL) {
+            return Promise.resolve(cached.result);
+        }
+        if (cached.pending) return cached.pending;
+
+        const startedAt = Date.now();
+        cached.pending = provider.probe({ signal: AbortSignal.timeout(CONFIG.HEALTH_PROBE_TIMEOUT) })
+            .then((response) => {
+                if (!response) return { status: 'skipped', reason: 'No models endpoint to probe' };
+                return response.ok ? { status: 'ok' } : { status: 'fail', error: `HTTP ${response.status}` };
+            })
+            .catch(error => ({
+                status: 'fail',
+                error: error.name === 'TimeoutError' ? 'Timed out' : error.message,
+            }))
+            .then((result) => {
+                cached.result = { ...result, latencyMs: Date.now() - startedAt, checkedAt: new Date().toISOString() };
+                cached.checkedAt = Date.now();
+                cached.pending = null;
+                if (result.status === 'fail') {
+                    Logger.warn('Upstream health probe failed', { provider: provider.name, error: result.error });
+                }
+                return cached.result;
+            });
+
+        this.probes.set(provider.name, cached);
+        return cached.pending;
+    },
+
+    /** Test-writes DATA_DIR at most once per TTL, sharing the in-flight write like probeProvider */
+    probeDataDir() {
+        const cached = this.storageProbe;
+        if (cached.result && Date.now() - cached.checkedAt < CONFIG.HEALTH_PROBE_TTL) {
+            return Promise.resolve(cached.result);
+        }
+        if (cached.pending) return cached.pending;
+
+        const startedAt = Date.now();
+        const probePath = path.join(CONFIG.DATA_DIR, `.health-${process.pid}`);
+        cached.pending = fs.promises.mkdir(CONFIG.DATA_DIR, { recursive: true })
+            .then(() => fs.promises.writeFile(probePath, String(startedAt)))
+            .then(() => fs.promises.unlink(probePath))
+            .then(() => ({ status: 'ok' }), error => ({ status: 'fail', error: error.code || error.message }))
+            .then((result) => {
+                cached.result = { ...result, latencyMs: Date.now() - startedAt };
+                cached.checkedAt = Date.now();
+                cached.pending = null;
+                return cached.result;
+            });
+
+        return cached.pending;
+    },
+
+    async checkStorage() {
+        const result = await this.probeDataDir();
+        if (result.status === 'fail') return result;
+
+        // The directory can be writable while a store still failed its last flush (e.g. disk full mid-write)
+        const failing = Object.values(Stores)
+            .filter(store => typeof store.lastError === 'function' && store.lastError())
+            .map(store => store.name);
+        if (failing.length > 0) {
+            return { ...result, status: 'fail', error: `Unsaved changes in ${failing.join(', ')}` };
+        }
+
+        return result;
+    },
+
+    /**
+     * Runs every check. Storage and the default provider are critical: when
+     * either fails the service is 'unavailable'. Other providers failing, or
+     * models skipped by an open circuit breaker, make it 'degraded'.
+     */
+    async readiness() {
+        const providers = ProviderRegistry.configured();
+        const defaultName = `llm:${CONFIG.LLM_PROVIDER}`;
+        const [storage, ...upstream] = await Promise.all([
+            this.checkStorage(),
+            ...providers.map(provider => this.probeProvider(provider)),
+        ]);
+
+        const dependencies = { storage };
+        providers.forEach((provider, index) => {
+            dependencies[`llm:${provider.name}`] = upstream[index];
+        });
+        if (!dependencies[defaultName]) {
+            dependencies[defaultName] = { status: 'fail', error: 'Not configured' };
+        }
+        this.lastResults = dependencies;
+
+        const failing = Object.keys(dependencies).filter(name => dependencies[name].status === 'fail');
+        const openCircuits = CircuitBreaker.openCircuits();
+        let status = 'ok';
+        if (failing.includes('storage') || failing.includes(defaultName)) {
+            status = 'unavailable';
+        } else if (failing.length > 0 || openCircuits.length > 0) {
+            status = 'degraded';
+        }
+
+        return { status, ...this.info(), dependencies, openCircuits };
+    },
+};
+
+// ==================== ACCOUNTS ====================
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Email/password accounts with server-side sessions. The browser holds an
+ * opaque token in an HttpOnly cookie; only its SHA-256 hash is stored.
+ */
+const Accounts = {
+    loginFailures: new Map(), // normalized email -> { count, lockedUntil, lastFailedAt }
+
+    // Colons never pass isClientId, so a guest can't pose as an account via X-Client-Id
+    ownerId(user) {
+        return `user:${user.id}`;
+    },
+
+    // Who owns stored data for this request: the signed-in account or key holder, else the guest's client id
+    ownerOf(req) {
+        if (req.apiKey) return `user:${req.apiKey.userId}`;
+        return req.user ? this.ownerId(req.user) : req.get('X-Client-Id');
+    },
+
+    normalizeEmail(email) {
+        return email.trim().toLowerCase();
+    },
+
+    findByEmail(email) {
+        const normalized = this.normalizeEmail(email);
+        return Stores.users.filter(user => user.email === normalized)[0] || null;
+    },
+
+    async hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt:${salt}:${hash.toString('hex')}`;
+    },
+
+    async verifyPassword(password, stored) {
+        const [, salt, expected] = stored.split(':');
+        const actual = (await this.hashPassword(password, salt)).split(':')[2];
+        return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+    },
+
+    /** Resolves to null when the email is already taken */
+    async create(email, password) {
+        const passwordHash = await this.hashPassword(password);
+        // Checked after hashing: a concurrent signup may have claimed the email in the meantime
+        if (this.findByEmail(email)) return null;
+
+        const user = {
+            id: crypto.randomUUID(),
+            email: this.normalizeEmail(email),
+            passwordHash,
+            settings: null,
+            createdAt: Date.now(),
+        };
+
+        return Stores.users.set(user.id, user);
+    },
+
+    profile({ passwordHash, ...user }) {
+        return user;
+    },
+
+    tokenHash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+
+    readToken(req) {
+        const cookies = (req.get('Cookie') || '').split(';');
+        const prefix = `${CONFIG.SESSION_COOKIE}=`;
+        const cookie = cookies.map(c => c.trim()).find(c => c.startsWith(prefix));
+        return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+    },
+
+    startSession(res, user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const id = this.tokenHash(token);
+        const now = Date.now();
+
+        Stores.sessions.set(id, { id, userId: user.id, createdAt: now, expiresAt: now + CONFIG.SESSION_TTL });
+        res.cookie(CONFIG.SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: CONFIG.NODE_ENV === 'production',
+            maxAge: CONFIG.SESSION_TTL,
+            path: '/',
+        });
+    },
+
+    endSession(req, res) {
+        const token = this.readToken(req);
+        if (token) Stores.sessions.delete(this.tokenHash(token));
+        res.clearCookie(CONFIG.SESSION_COOKIE, { path: '/' });
+    },
+
+    userFor(token) {
+        const key = this.tokenHash(token);
+        const session = Stores.sessions.get(key);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now()) {
+            Stores.sessions.delete(key);
+            return null;
+        }
+
+        return Stores.users.get(session.userId);
+    },
+
+    /**
+     * Moves everything a guest stored under their client id into the account.
+     * A conversation the account already has is kept if it is the newer copy.
+     */
+    adoptGuestData(clientId, user) {
+        if (!isClientId(clientId)) return 0;
+
+        const ownerId = this.ownerId(user);
+        const conversations = Stores.conversations.filter(c => c.ownerId === clientId);
+
+        conversations.forEach((conversation) => {
+            const existing = Conversations.get(ownerId, conversation.id);
+            if (!existing || existing.updatedAt < conversation.updatedAt) {
+                Stores.conversations.set(Conversations.key(ownerId, conversation.id), { ...conversation, ownerId });
+            }
+            Stores.conversations.delete(Conversations.key(clientId, conversation.id));
+        });
+
+        Stores.feedback.filter(record => record.ownerId === clientId).forEach((record) => {
+            Stores.feedback.delete(Feedback.key(clientId, record.conversationId, record.messageId));
+            Stores.feedback.set(Feedback.key(ownerId, record.conversationId, record.messageId), { ...record, ownerId });
+        });
+
+        [Stores.attachments, Stores.shares].forEach((store) => {
+            store.filter(record => record.ownerId === clientId)
+                .forEach(record => store.set(record.id, { ...record, ownerId }));
+        });
+
+        return conversations.length;
+    },
+
+    sweepSessions() {
+        const now = Date.now();
+        Stores.sessions.filter(session => session.expiresAt <= now)
+            .forEach(session => Stores.sessions.delete(session.id));
+
+        for (const [email, entry] of this.loginFailures) {
+            if (entry.lockedUntil <= now && entry.lastFailedAt <= now - 24 * 60 * 60 * 1000) {
+                this.loginFailures.delete(email);
+            }
+        }
+    },
+
+    // The lockout entry while the email may not sign in, else null
+    loginLock(email) {
+        const entry = this.loginFailures.get(this.normalizeEmail(email));
+        return entry && entry.lockedUntil > Date.now() ? entry : null;
+    },
+
+    /**
+     * Counts a failed sign-in. Reaching LOGIN_MAX_FAILURES locks the email for
+     * LOGIN_LOCKOUT, and each further miss doubles the lockout.
+     */
+    recordLoginFailure(email) {
+        const key = this.normalizeEmail(email);
+        const now = Date.now();
+        const entry = this.loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+
+        entry.count++;
+        entry.lastFailedAt = now;
+        if (entry.count >= CONFIG.LOGIN_MAX_FAILURES) {
+            const lockout = CONFIG.LOGIN_LOCKOUT * 2 ** (entry.count - CONFIG.LOGIN_MAX_FAILURES);
+            entry.lockedUntil = now + Math.min(lockout, 24 * 60 * 60 * 1000);
+        }
+
+        this.loginFailures.set(key, entry);
+        return entry;
+    },
+
+    clearLoginFailures(email) {
+        this.loginFailures.delete(this.normalizeEmail(email));
+    },
+
+    /**
+     * Sets `req.apiKey` from an `Authorization: Bearer` API key, or `req.user`
+     * from the session cookie; requests with neither stay anonymous.
+     */
+    authenticate(req, res, next) {
+        const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+        if (bearer.startsWith(ApiKeys.PREFIX)) {
+            const apiKey = ApiKeys.verify(bearer);
+            if (!apiKey) {
+                return res.status(401).json({ error: 'Invalid or revoked API key' });
+            }
+
+            req.apiKey = ApiKeys.touch(apiKey);
+            req.user = null;
+            return next();
+        }
+
+        const token = Accounts.readToken(req);
+        req.user = token ? Accounts.userFor(token) : null;
+        next();
+    },
+};
+
+// ==================== API KEYS ====================
+const API_KEY_SCOPES = ['chat', 'models'];
+
+/**
+ * Keys for server-to-server access, issued by signed-in users. Only a hash of
+ * each key is stored; the key itself is shown once, when it is created.
+ */
+const ApiKeys = {
+    PREFIX: 'agn_',
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    },
+
+    create(user, { name, scopes = API_KEY_SCOPES, limits = {} }) {
+        const key = `${this.PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const id = crypto.randomUUID();
+        const record = Stores.apiKeys.set(id, {
+            id,
+            userId: user.id,
+            name: name.trim(),
+            hash: this.hash(key),
+            hint: `${key.slice(0, 8)}…${key.slice(-4)}`,
+            scopes: [...new Set(scopes)],
+            limits: {
+                requestsPerMinute: limits.requestsPerMinute || CONFIG.API_KEY_RATE_LIMIT,
+                dailyTokens: limits.dailyTokens || CONFIG.DAILY_TOKEN_BUDGET,
+            },
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            revokedAt: null,
+        });
+
+        return { key, record };
+    },
+
+    verify(key) {
+        const hash = this.hash(key);
+        const record = Stores.apiKeys.filter(apiKey => apiKey.hash === hash)[0];
+        return record && !record.revokedAt ? record : null;
+    },
+
+    touch(record) {
+        return Stores.apiKeys.set(record.id, { ...record, lastUsedAt: Date.now() });
+    },
+
+    summarize({ hash, userId, ...record }) {
+        return record;
+    },
+
+    /**
+     * Limits API keys to the endpoints their scopes allow. Browser traffic,
+     * which carries no key, passes straight through.
+     */
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+                return res.status(403).json({ error: `This API key does not have the "${scope}" scope` });
+            }
+            next();
+        };
+    },
+};
+
+setInterval(() => Accounts.sweepSessions(), 60 * 60 * 1000).unref();
+
+// ==================== RATE LIMITER ====================
+const RateLimiter = {
+    windows: new Map(), // key -> { count, resetAt }
+    tokenBudgets: new Map(), // key -> { used, resetAt }
+
+    /**
+     * Counts a request against a fixed window and reports the remaining quota.
+     */
+    hit(key, max, windowMs) {
+        const now = Date.now();
+        let entry = this.windows.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, entry);
+        }
+
+        entry.count++;
+
+        return {
+            allowed: entry.count <= max,
+            limit: max,
+            remaining: Math.max(0, max - entry.count),
+            resetAt: entry.resetAt,
+        };
+    },
+
+    nextUtcMidnight() {
+        const reset = new Date();
+        reset.setUTCHours(24, 0, 0, 0);
+        return reset.getTime();
+    },
+
+    getTokenBudget(key) {
+        const now = Date.now();
+        let entry = this.tokenBudgets.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { used: 0, resetAt: this.nextUtcMidnight() };
+            this.tokenBudgets.set(key, entry);
+        }
+
+        return entry;
+    },
+
+    consumeTokens(key, usage) {
+        const total = usage?.total_tokens
+            || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+        if (!key || !total) return;
+
+        this.getTokenBudget(key).used += total;
+    },
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.windows) {
+            if (entry.resetAt <= now) this.windows.delete(key);
+        }
+        for (const [key, entry] of this.tokenBudgets) {
+            if (entry.resetAt <= now) this.tokenBudgets.delete(key);
+        }
+    },
+
+    usageKey(req) {
+        if (req.apiKey) return `key:${req.apiKey.id}`;
+        return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    },
+
+    /**
+     * Daily token budgets a request is charged to. API key usage also counts
+     * against the owning account, so extra keys can't multiply its budget.
+     */
+    budgetsFor(req) {
+        const budgets = [{
+            key: req.rateLimitKey,
+            limit: req.apiKey?.limits.dailyTokens || CONFIG.DAILY_TOKEN_BUDGET,
+        }];
+        if (req.apiKey) {
+            budgets.push({ key: `user:${req.apiKey.userId}`, limit: CONFIG.DAILY_TOKEN_BUDGET });
+        }
+        return budgets;
+    },
+
+    // Charges a completion to every budget the request counts against
+    chargeTokens(req, usage) {
+        this.budgetsFor(req).forEach(({ key }) => this.consumeTokens(key, usage));
+    },
+
+    // A key's own per-minute window replaces the per-IP and per-session ones, since partner backends share IPs
+    hitApiKey(req) {
+        return this.hit(`${req.path}:${req.rateLimitKey}`, req.apiKey.limits.requestsPerMinute, 60 * 1000);
+    },
+
+    reject(res, result, message) {
+        const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.setHeader('Retry-After', retryAfter);
+
+        return res.status(429).json({
+            error: message,
+            retryAfter,
+        });
+    },
+
+    /**
+     * Enforces per-IP and per-session request windows, plus the daily token
+     * budget when `trackTokens` is set. API keys and signed-in users have their
+     * own budget (key usage also counts toward the owner's); guests share one
+     * per IP. Exposes the caller's key as `req.rateLimitKey`
+     * so handlers can charge usage back to the caller.
+     */
+    middleware({ trackTokens = false } = {}) {
+        return (req, res, next) => {
+            const ipKey = `ip:${req.ip}`;
+            const sessionId = req.get('X-Session-Id');
+            req.rateLimitKey = this.usageKey(req);
+
+            const ipResult = req.apiKey
+                ? this.hitApiKey(req)
+                : this.hit(`${req.path}:${ipKey}`, CONFIG.RATE_LIMIT_MAX, CONFIG.RATE_LIMIT_WINDOW);
+            let result = ipResult;
+
+            if (sessionId && !req.apiKey) {
+                const sessionResult = this.hit(
+                    `${req.path}:session:${sessionId.slice(0, 64)}`,
+                    CONFIG.RATE_LIMIT_SESSION_MAX,
+                    CONFIG.RATE_LIMIT_WINDOW
+                );
+                if (!sessionResult.allowed || sessionResult.remaining < ipResult.remaining) {
+                    result = sessionResult;
+                }
+            }
+
+            res.setHeader('X-RateLimit-Limit', result.limit);
+            res.setHeader('X-RateLimit-Remaining', result.remaining);
+            res.setHeader('X-RateLimit-Reset', Math.ceil(result.resetAt / 1000));
+
+            if (!ipResult.allowed || !result.allowed) {
+                Logger.warn('Rate limit exceeded', { path: req.path, ip: req.ip });
+                return this.reject(res, result.allowed ? ipResult : result, 'Too many requests. Please slow down.');
+            }
+
+            if (trackTokens) {
+                // Report whichever budget has the least left
+                const [tightest] = this.budgetsFor(req)
+                    .map(({ key, limit }) => ({ key, limit, budget: this.getTokenBudget(key) }))
+                    .sort((a, b) => (a.limit - a.budget.used) - (b.limit - b.budget.used));
+                res.setHeader('X-RateLimit-Tokens-Limit', tightest.limit);
+                res.setHeader('X-RateLimit-Tokens-Remaining', Math.max(0, tightest.limit - tightest.budget.used));
+
+                if (tightest.budget.used >= tightest.limit) {
+                    Logger.warn('Daily token budget exhausted', { key: tightest.key });
+                    return this.reject(res, tightest.budget, 'Daily usage limit reached. Please try again tomorrow.');
+                }
+            }
+
+            next();
+        };
+    },
+};
+
+setInterval(() => RateLimiter.cleanup(), CONFIG.RATE_LIMIT_WINDOW).unref();
+
+// ==================== USAGE ACCOUNTING ====================
+// List prices in USD per 1M tokens at the time of writing; override or extend with MODEL_PRICES
+const DEFAULT_MODEL_PRICES = {
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'meta-llama/llama-4-scout-17b-16e-instruct': { input: 0.11, output: 0.34 },
+    'meta-llama/llama-4-maverick-17b-128e-instruct': { input: 0.20, output: 0.60 },
+    'openai/gpt-oss-120b': { input: 0.15, output: 0.75 },
+    'openai/gpt-oss-20b': { input: 0.10, output: 0.50 },
+    'qwen/qwen3-32b': { input: 0.29, output: 0.59 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+};
+
+/**
+ * One record per completion (chat replies and history summaries) with tokens,
+ * latency, caller and the cost at the prices in force when it ran.
+ */
+const Usage = {
+    prices: null,
+
+    priceTable() {
+        if (!this.prices) {
+            let overrides = {};
+            try {
+                overrides = CONFIG.MODEL_PRICES ? JSON.parse(CONFIG.MODEL_PRICES) : {};
+            } catch (error) {
+                Logger.error('MODEL_PRICES is not valid JSON; using default prices', error);
+            }
+            this.prices = { ...DEFAULT_MODEL_PRICES, ...overrides };
+        }
+        return this.prices;
+    },
+
+    cost(model, promptTokens, completionTokens) {
+        const price = this.priceTable()[model];
+        if (!price) return null;
+        return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+    },
+
+    /**
+     * Charges a completion to the caller's daily budget and adds it to the
+     * stored daily totals. Upstream usage objects are OpenAI-shaped:
+     * prompt_tokens, completion_tokens, total_tokens.
+     */
+    record(req, { model, usage, startedAt, kind = 'chat', stream = false }) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+        const totalTokens = usage?.total_tokens || promptTokens + completionTokens;
+        if (!totalTokens) return null;
+
+        RateLimiter.chargeTokens(req, usage);
+        Metrics.inc('llm_tokens_total', { model: model || 'unknown', type: 'prompt' }, promptTokens);
+        Metrics.inc('llm_tokens_total', { model: model || 'unknown', type: 'completion' }, completionTokens);
+
+        return this.add({
+            timestamp: Date.now(),
+            kind,
+            model: model || 'unknown',
+            stream,
+            promptTokens,
+            completionTokens,
+            totalTokens,
+            latencyMs: startedAt ? Date.now() - startedAt : null,
+            cost: this.cost(model, promptTokens, completionTokens),
+            userId: req.user?.id || req.apiKey?.userId || null,
+            apiKeyId: req.apiKey?.id || null,
+        });
+    },
+
+    /**
+     * Folds one completion into its row of daily totals. Rows are per day, kind,
+     * model, user and API key, so the store grows with distinct callers rather
+     * than with traffic.
+     */
+    add(completion) {
+        const date = this.dateKey(completion.timestamp);
+        const { kind, model, stream, userId, apiKeyId } = completion;
+        const id = [date, kind, model, stream ? 'stream' : 'json', userId || 'guest', apiKeyId || ''].join('|');
+
+        const row = Stores.usage.get(id) || {
+            id,
+            date,
+            kind,
+            model,
+            stream,
+            userId,
+            apiKeyId,
+            requests: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            unpricedRequests: 0,
+            timedRequests: 0,
+            latencyMsTotal: 0,
+        };
+
+        row.requests++;
+        row.promptTokens += completion.promptTokens;
+        row.completionTokens += completion.completionTokens;
+        row.totalTokens += completion.totalTokens;
+        if (completion.cost === null) {
+            row.unpricedRequests++;
+        } else {
+            row.cost += completion.cost;
+        }
+        if (completion.latencyMs !== null) {
+            row.timedRequests++;
+            row.latencyMsTotal += completion.latencyMs;
+        }
+
+        return Stores.usage.set(id, row);
+    },
+
+    /**
+     * OpenAI-shaped usage estimated from the text sent and received, for
+     * completions that ended before the provider reported real counts.
+     */
+    estimate(messages, systemPrompt, reply, model) {
+        const promptTokens = TokenEstimator.estimate(systemPrompt, model) + TokenEstimator.estimateMessages(messages, model);
+        const completionTokens = TokenEstimator.estimate(reply, model);
+        return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    },
+
+    // Usage files written before daily totals held one record per completion
+    compact() {
+        const legacy = Stores.usage.filter(record => !record.date);
+        if (legacy.length === 0) return;
+
+        legacy.forEach((record) => {
+            Stores.usage.delete(record.id);
+            this.add(record);
+        });
+        Logger.info('Usage records folded into daily totals', { records: legacy.length });
+    },
+
+    dateKey(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    },
+
+    tally(rows, groupBy) {
+        const summarize = (group) => {
+            const sum = field => group.reduce((total, row) => total + (row[field] || 0), 0);
+            const timed = sum('timedRequests');
+
+            return {
+                requests: sum('requests'),
+                promptTokens: sum('promptTokens'),
+                completionTokens: sum('completionTokens'),
+                totalTokens: sum('totalTokens'),
+                cost: Number(sum('cost').toFixed(6)),
+                unpricedRequests: sum('unpricedRequests'),
+                avgLatencyMs: timed > 0 ? Math.round(sum('latencyMsTotal') / timed) : null,
+            };
+        };
+
+        if (!groupBy) return summarize(rows);
+
+        const groups = new Map();
+        rows.forEach((row) => {
+            const key = groupBy(row);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+
+        return [...groups.entries()].map(([key, group]) => ({ key, ...summarize(group) }));
+    },
+
+    report(rows) {
+        const byCost = (a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens;
+
+        return {
+            currency: 'USD',
+            totals: this.tally(rows),
+            byDay: this.tally(rows, row => row.date)
+                .sort((a, b) => a.key.localeCompare(b.key)),
+            byModel: this.tally(rows, row => row.model).sort(byCost),
+            byUser: this.tally(rows, row => row.userId || 'guest')
+                .map(row => ({ ...row, email: Stores.users.get(row.key)?.email || null }))
+                .sort(byCost),
+            prices: this.priceTable(),
+        };
+    },
+
+    sweep() {
+        const cutoff = this.dateKey(Date.now() - CONFIG.USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        Stores.usage.filter(row => row.date < cutoff)
+            .forEach(row => Stores.usage.delete(row.id));
+    },
+};
+
+Usage.compact();
+setInterval(() => Usage.sweep(), 24 * 60 * 60 * 1000).unref();
+
+// ==================== SSE STREAMING ====================
+const SSE = {
+    activeStreams: new Set(),
+
+    /**
+     * Incremental SSE parser. Buffers partial lines across chunks and emits the
+     * joined `data` payload of each complete event.
+     */
+    createParser(onEvent) {
+        let buffer = '';
+        let dataLines = [];
+        let eventName = null;
+
+        const dispatch = () => {
+            if (dataLines.length > 0) {
+                onEvent(dataLines.join('\n'), eventName);
+            }
+            dataLines = [];
+            eventName = null;
+        };
+
+        const processLine = (line) => {
+            if (line === '') {
+                dispatch();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            } else if (line.startsWith('event:')) {
+                eventName = line.slice(6).trim();
+            }
+            // Comments (":") and other fields are dropped
+        };
+
+        return {
+            push(text) {
+                buffer += text;
+                const lines = buffer.split(/\r\n|\r|\n/);
+                buffer = lines.pop();
+                lines.forEach(processLine);
+            },
+
+            end() {
+                if (buffer) processLine(buffer);
+                buffer = '';
+                dispatch();
+            },
+        };
+    },
+
+    writeEvent(res, data, event = null) {
+        if (res.writableEnded || res.destroyed) return;
+
+        const payload = typeof data === 'string' ? data : JSON.stringify(data);
+        res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+    },
+
+    /**
+     * Re-frames an upstream SSE body to the client, sending heartbeats while it
+     * runs and a structured `error` event if the upstream fails mid-stream.
+     * Resolves to true when the upstream body was relayed in full.
+     */
+    async relay(res, upstream, { controller, onData, preamble = [] } = {}) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+        preamble.forEach(({ event, data }) => this.writeEvent(res, data, event));
+
+        const entry = { res, controller };
+        this.activeStreams.add(entry);
+
+        const heartbeat = setInterval(() => {
+            if (!res.writableEnded) res.write(': keep-alive\n\n');
+        }, CONFIG.SSE_HEARTBEAT_INTERVAL);
+
+        let doneSent = false;
+        const parser = this.createParser((data) => {
+            if (data === '[DONE]') {
+                doneSent = true;
+            } else {
+                onData?.(data);
+            }
+            this.writeEvent(res, data);
+        });
+
+        try {
+            const reader = upstream.body.getReader();
+            const decoder = new TextDecoder();
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+
+            parser.push(decoder.decode());
+            parser.end();
+
+            if (!doneSent) {
+                this.writeEvent(res, '[DONE]');
+            }
+            return true;
+        } catch (error) {
+            if (controller?.signal.aborted && (res.destroyed || res.writableEnded)) {
+                Logger.info('Client disconnected, upstream stream cancelled');
+            } else {
+                Logger.error('Streaming error', error);
+                Metrics.inc('llm_stream_errors_total');
+                this.writeEvent(res, {
+                    error: entry.shutdownReason || 'The response stream was interrupted. Please try again.',
+                    requestId: res.req?.id,
+                }, 'error');
+            }
+            return false;
+        } finally {
+            clearInterval(heartbeat);
+            this.activeStreams.delete(entry);
+            if (!res.writableEnded) res.end();
+        }
+    },
+
+    /**
+     * Waits for in-flight streams to finish, cancelling whatever is left at the deadline.
+     */
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.activeStreams.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        for (const entry of this.activeStreams) {
+            entry.shutdownReason = 'The server is restarting. Please resend your message.';
+            entry.controller?.abort();
+        }
+    },
+};
+
+// ==================== EXPRESS APP SETUP ====================
+const app = express();
+let isShuttingDown = false;
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Middleware
+app.set('trust proxy', CONFIG.TRUST_PROXY);
+
+// Request IDs: reuse a proxy's X-Request-Id when it looks safe, echo it back and add it to error bodies
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+        ? { ...body, requestId: req.id }
+        : body);
+
+    requestContext.run({ requestId: req.id }, next);
+});
+
+// Access log and request metrics
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        // Route patterns rather than raw paths keep label cardinality bounded
+        const route = req.route?.path || (res.statusCode === 404 ? 'unmatched' : 'other');
+
+        Metrics.inc('http_requests_total', { method: req.method, route, status: res.statusCode });
+        Metrics.observe('http_request_duration_seconds', { method: req.method, route }, seconds);
+        // Orchestrator health probes would otherwise drown out real traffic
+        const quiet = !req.path.startsWith('/api/') || req.path.startsWith('/api/health');
+        Logger.write(quiet ? 'debug' : 'info', `${req.method} ${req.path}`, {
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            requestId: req.id,
+        });
+    });
+
+    next();
+});
+
+app.use(cors({
+    exposedHeaders: [
+        'X-Request-Id',
+        'X-Model',
+        'X-Cache',
+        'X-Cache-Similarity',
+        'Retry-After',
+        'X-RateLimit-Limit',
+        'X-RateLimit-Remaining',
+        'X-RateLimit-Reset',
+        'X-RateLimit-Tokens-Limit',
+        'X-RateLimit-Tokens-Remaining',
+    ],
+}));
+app.use(express.json({ limit: '10mb' }));
+// Static pages and assets never need the caller's identity
+app.use('/api', Accounts.authenticate);
+app.use(express.static('public'));
+
+// Refuse new work while in-flight streams drain during shutdown
+app.use((req, res, next) => {
+    if (isShuttingDown) {
+        res.setHeader('Connection', 'close');
+        return res.status(503).json({ error: 'Server is restarting. Please try again shortly.' });
+    }
+    next();
+});
+
+// ==================== API ROUTES ====================
+
+/**
+ * Liveness: the process is up and serving requests. Reports the last known
+ * dependency status without checking it again.
+ * GET /api/health/live
+ */
+app.get('/api/health/live', (req, res) => {
+    res.json({
+        status: 'ok',
+        ...Health.info(),
+        dependencies: Health.lastResults,
+    });
+});
+
+/**
+ * Readiness: storage is writable and the LLM provider answers
+ * GET /api/health/ready
+ */
+app.get('/api/health/ready', async (req, res) => {
+    const report = await Health.readiness();
+    res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+});
+
+/**
+ * Health Check Endpoint - readiness plus configuration details for the chat UI
+ * GET /api/health
+ */
+app.get('/api/health', async (req, res) => {
+    const report = await Health.readiness();
+
+    res.status(report.status === 'unavailable' ? 503 : 200).json({
+        ...report,
+        environment: CONFIG.NODE_ENV,
+        provider: CONFIG.LLM_PROVIDER,
+        apiConfigured: Validators.validateApiKey(),
+        providers: ProviderRegistry.configured().map(provider => provider.name),
+    });
+});
+
+/**
+ * Chat Endpoint - Streaming & Non-Streaming
+ * POST /api/chat
+ */
+app.post('/api/chat', ApiKeys.requireScope('chat'), RateLimiter.middleware({ trackTokens: true }), async (req, res) => {
+    // Validate API key
+    if (!Validators.validateApiKey()) {
+        return res.status(500).json({
+            error: 'Server configuration error.',
+        });
+    }
+
+    // Validate request body
+    const validation = Validators.validateChatRequest(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const { messages, model, temperature, max_tokens, stream = false, summary } = req.body;
+    const startedAt = Date.now();
+
+    // Cancel the upstream request if the browser goes away before we finish
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        // "Cache-Control: no-cache" (sent when regenerating) skips the lookup but still refreshes the entry
+        const cacheRequest = ResponseCache.describe(req.body);
+        const refresh = /no-cache/i.test(req.get('Cache-Control') || '');
+        const cached = cacheRequest && !refresh ? ResponseCache.lookup(cacheRequest) : null;
+        let cacheStatus = cacheRequest && !refresh ? 'MISS' : 'BYPASS';
+        if (cached) cacheStatus = 'HIT';
+        res.setHeader('X-Cache', cacheStatus);
+        Metrics.inc('response_cache_requests_total', {
+            result: cached?.similarity !== undefined ? 'similar' : cacheStatus.toLowerCase(),
+        });
+
+        if (cached) {
+            const { entry, similarity } = cached;
+            res.setHeader('X-Model', entry.routing.model);
+            if (similarity !== undefined) {
+                res.setHeader('X-Cache-Similarity', similarity.toFixed(3));
+            }
+
+            if (stream) {
+                await SSE.relay(res, ResponseCache.toStream(entry), {
+                    controller,
+                    preamble: [
+                        { event: 'sources', data: { sources: entry.sources } },
+                        { event: 'context', data: { context: entry.context } },
+                        { event: 'routing', data: { routing: entry.routing } },
+                    ],
+                });
+                return;
+            }
+
+            return res.json({
+                message: entry.message,
+                model: entry.model,
+                routing: entry.routing,
+                usage: null,
+                sources: entry.sources,
+                context: entry.context,
+            });
+        }
+
+        const context = KnowledgeBase.buildContext(messages);
+        const attachmentSection = AttachmentExtractor.buildPromptSection(Accounts.ownerOf(req), messages);
+        if (attachmentSection) {
+            context.prompt = `${context.prompt}\n\n${attachmentSection}`;
+        }
+
+        const budget = await ContextBudget.prepare(messages, {
+            model,
+            systemPrompt: context.prompt,
+            maxTokens: max_tokens,
+            summary,
+            signal: controller.signal,
+            onUsage: (usage, summaryModel, summaryStartedAt) => Usage.record(req, {
+                model: summaryModel,
+                usage,
+                startedAt: summaryStartedAt,
+                kind: 'summary',
+            }),
+        });
+
+        if (budget.error) {
+            return res.status(400).json({ error: budget.error });
+        }
+
+        const { response, routing, retryAfter } = await GroqClient.complete(budget.messages, {
+            model,
+            temperature,
+            max_tokens,
+            stream,
+            signal: controller.signal,
+            systemPrompt: context.prompt,
+        });
+
+        // Every model failed or is being skipped by its circuit breaker
+        if (!response || RETRYABLE_STATUSES.has(response.status)) {
+            const errorData = response ? await response.json().catch(() => ({})) : {};
+            Logger.error('LLM API unavailable', { ...routing, status: response?.status, error: errorData.error?.message });
+
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(503).json({
+                error: 'The AI service is temporarily unavailable. Please try again shortly.',
+                retryAfter,
+            });
+        }
+
+        // Check for API errors
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            Logger.error('LLM API error', errorData);
+
+            return res.status(response.status).json({
+                error: errorData.error?.message || 'AI service error',
+            });
+        }
+
+        // Stream chunks don't always name the model, so fall back to the one that answered
+        const { model: resolvedModel } = ProviderRegistry.resolve(routing.model);
+        res.setHeader('X-Model', routing.model);
+
+        // Only complete answers from the requested model are worth serving again
+        const cacheReply = (message, finishReason, model) => {
+            if (!cacheRequest || finishReason !== 'stop' || routing.fallback || !message) return;
+            ResponseCache.store(cacheRequest, {
+                message,
+                model,
+                routing: { ...routing, attempts: 0 },
+                sources: context.sources,
+                context: budget.context,
+            });
+        };
+
+        // Handle streaming response
+        if (stream) {
+            let reply = '';
+            let finishReason = null;
+            let replyModel = resolvedModel;
+            let usage = null;
+
+            const completed = await SSE.relay(res, response, {
+                controller,
+                preamble: [
+                    { event: 'sources', data: { sources: context.sources } },
+                    { event: 'context', data: { context: budget.context } },
+                    { event: 'routing', data: { routing } },
+                ],
+                onData: (data) => {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch (parseError) {
+                        Logger.warn('Unparseable stream event', { length: data.length });
+                        return;
+                    }
+
+                    const choice = parsed.choices?.[0];
+                    reply += choice?.delta?.content || '';
+                    finishReason = choice?.finish_reason || finishReason;
+                    replyModel = parsed.model || replyModel;
+
+                    // Groq reports usage on the final chunk (x_groq.usage), OpenAI-style APIs on `usage`;
+                    // either may arrive, so it is recorded once the stream ends
+                    usage = parsed.usage || parsed.x_groq?.usage || usage;
+                },
+            });
+
+            // Streams that were stopped or failed end before the usage chunk, but were still billed
+            Usage.record(req, {
+                model: replyModel,
+                usage: usage || Usage.estimate(budget.messages, context.prompt, reply, replyModel),
+                startedAt,
+                stream: true,
+            });
+
+            if (completed) cacheReply(reply, finishReason, replyModel);
+        }
+        // Handle non-streaming response
+        else {
+            const data = await response.json();
+            Usage.record(req, { model: data.model || resolvedModel, usage: data.usage, startedAt });
+
+            const message = data.choices[0]?.message?.content || '';
+
+            res.json({
+                message,
+                model: data.model || resolvedModel,
+                routing,
+                usage: data.usage,
+                sources: context.sources,
+                context: budget.context,
+            });
+            cacheReply(message, data.choices[0]?.finish_reason, data.model || resolvedModel);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError' && controller.signal.aborted) {
+            Logger.info('Chat request cancelled by client');
+            return;
+        }
+
+        Logger.error('Chat endpoint error', error);
+
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'An unexpected error occurred. Please try again.',
+            });
+        }
+    }
+});
+
+/**
+ * Model Catalog Endpoint
+ * GET /api/models
+ */
+app.get('/api/models', ApiKeys.requireScope('models'), RateLimiter.middleware(), async (req, res) => {
+    if (!Validators.validateApiKey()) {
+        return res.status(500).json({ error: 'LLM provider not configured' });
+    }
+
+    try {
+        const models = await ModelCatalog.get();
+
+        res.json({
+            object: 'list',
+            defaultModel: ProviderRegistry.getDefault().defaultModel,
+            updatedAt: new Date(ModelCatalog.updatedAt).toISOString(),
+            data: models,
+        });
+    } catch (error) {
+        Logger.error('Models endpoint error', error);
+        res.status(500).json({ error: 'Failed to fetch available models' });
+    }
+});
+
+/**
+ * Knowledge Base Documents
+ * GET /api/knowledge
+ */
+app.get('/api/knowledge', (req, res) => {
+    res.json({
+        version: KnowledgeBase.version,
+        passages: KnowledgeBase.chunks.length,
+        documents: KnowledgeBase.documents,
+    });
+});
+
+// ==================== CONVERSATION ROUTES ====================
+const CONVERSATION_ID_PATTERN = /^[\w-]{1,64}$/;
+// The client id is a guest's only credential, so it must be long enough to be unguessable
+const CLIENT_ID_PATTERN = /^[\w-]{32,64}$/;
+const CLIENT_ID_MIN_DISTINCT_CHARS = 8;
+
+// Also turns away repetitive ids such as "aaaa…" or "0000-0000-…" that pass the length check
+const isClientId = id => !!id && CLIENT_ID_PATTERN.test(id)
+    && new Set(id.replace(/-/g, '')).size >= CLIENT_ID_MIN_DISTINCT_CHARS;
+
+const Conversations = {
+    key(ownerId, id) {
+        return `${ownerId}:${id}`;
+    },
+
+    summarize(conversation) {
+        const { ownerId, messages, tree, ...summary } = conversation;
+        return { ...summary, messageCount: messages.length };
+    },
+
+    listFor(ownerId) {
+        return Stores.conversations
+            .filter(conversation => conversation.ownerId === ownerId)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    get(ownerId, id) {
+        return Stores.conversations.get(this.key(ownerId, id));
+    },
+
+    save(ownerId, id, data, existing = null) {
+        const now = Date.now();
+        const messages = data.messages ?? existing?.messages ?? [];
+
+        const conversation = {
+            id,
+            ownerId,
+            title: data.title ?? existing?.title ?? (messages[0]?.content.substring(0, 50) || 'New Chat'),
+            model: data.model ?? existing?.model ?? null,
+            messages,
+            tree: data.tree ?? (data.messages ? null : existing?.tree) ?? null,
+            createdAt: existing?.createdAt ?? now,
+            updatedAt: Number(data.updatedAt) || now,
+        };
+
+        return Stores.conversations.set(this.key(ownerId, id), conversation);
+    },
+
+    delete(ownerId, id) {
+        return Stores.conversations.delete(this.key(ownerId, id));
+    },
+
+    /**
+     * Appends messages below the active leaf of a branching history,
+     * following the same selection rules as the client.
+     */
+    appendToTree(tree, messages) {
+        if (!tree) return null;
+
+        const nodes = { ...tree.nodes };
+        const rootIds = [...tree.rootIds];
+        const selected = { ...tree.selected };
+        const childrenOf = id => (id ? nodes[id].children : rootIds);
+
+        let parentId = null;
+        for (let children = rootIds; children.length > 0; children = childrenOf(parentId)) {
+            const choice = selected[parentId || 'root'];
+            parentId = children.includes(choice) ? choice : children[children.length - 1];
+        }
+
+        messages.forEach((message) => {
+            nodes[message.id] = { ...message, parentId, children: [] };
+            if (parentId) {
+                nodes[parentId] = { ...nodes[parentId], children: [...nodes[parentId].children, message.id] };
+            } else {
+                rootIds.push(message.id);
+            }
+            selected[parentId || 'root'] = message.id;
+            parentId = message.id;
+        });
+
+        return { nodes, rootIds, selected };
+    },
+};
+
+/**
+ * Resolves the owner of stored conversations: the signed-in account,
+ * or for guests the X-Client-Id header, a random id of 32-64 characters
+ * generated by the browser.
+ */
+const requireOwner = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({ error: 'API keys can only call the chat and models endpoints' });
+    }
+
+    const ownerId = Accounts.ownerOf(req);
+
+    if (req.user) {
+        req.ownerId = ownerId;
+        return next();
+    }
+
+    if (!isClientId(ownerId)) {
+        return res.status(400).json({ error: 'A random X-Client-Id header of 32-64 characters is required' });
+    }
+
+    req.ownerId = ownerId;
+    next();
+};
+
+const requireConversationId = (req, res, next) => {
+    if (!CONVERSATION_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+    next();
+};
+
+/**
+ * List Conversations
+ * GET /api/conversations
+ */
+app.get('/api/conversations', requireOwner, (req, res) => {
+    res.json({
+        conversations: Conversations.listFor(req.ownerId).map(c => Conversations.summarize(c)),
+    });
+});
+
+/**
+ * Get Conversation
+ * GET /api/conversations/:id
+ */
+app.get('/api/conversations/:id', requireOwner, requireConversationId, (req, res) => {
+    const conversation = Conversations.get(req.ownerId, req.params.id);
+
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { ownerId, ...body } = conversation;
+    res.json(body);
+});
+
+/**
+ * Create Conversation
+ * POST /api/conversations
+ */
+app.post('/api/conversations', requireOwner, (req, res) => {
+    const validation = Validators.validateConversation(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const id = req.body.id || crypto.randomUUID();
+    if (!CONVERSATION_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+
+    if (Conversations.get(req.ownerId, id)) {
+        return res.status(409).json({ error: 'Conversation already exists' });
+    }
+
+    if (Conversations.listFor(req.ownerId).length >= CONFIG.MAX_CONVERSATIONS_PER_CLIENT) {
+        return res.status(507).json({ error: 'Conversation limit reached. Delete old chats to continue.' });
+    }
+
+    const { ownerId, ...conversation } = Conversations.save(req.ownerId, id, req.body);
+    res.status(201).json(conversation);
+});
+
+/**
+ * Create or Replace Conversation
+ * PUT /api/conversations/:id
+ */
+app.put('/api/conversations/:id', requireOwner, requireConversationId, (req, res) => {
+    const validation = Validators.validateConversation(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const existing = Conversations.get(req.ownerId, req.params.id);
+
+    if (!existing && Conversations.listFor(req.ownerId).length >= CONFIG.MAX_CONVERSATIONS_PER_CLIENT) {
+        return res.status(507).json({ error: 'Conversation limit reached. Delete old chats to continue.' });
+    }
+
+    const { ownerId, ...conversation } = Conversations.save(req.ownerId, req.params.id, req.body, existing);
+    res.status(existing ? 200 : 201).json(conversation);
+});
+
+/**
+ * Append Messages
+ * POST /api/conversations/:id/messages
+ */
+app.post('/api/conversations/:id/messages', requireOwner, requireConversationId, (req, res) => {
+    const existing = Conversations.get(req.ownerId, req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const incoming = Array.isArray(req.body.messages) ? req.body.messages : [req.body];
+    const validation = Validators.validateConversation({ messages: incoming });
+    if (!validation.valid || incoming.length === 0) {
+        return res.status(400).json({ error: validation.error || 'At least one message is required' });
+    }
+
+    const appended = incoming.map(({ role, content }) => ({ id: crypto.randomUUID(), role, content }));
+    const messages = [...existing.messages, ...appended];
+    const tree = Conversations.appendToTree(existing.tree, appended);
+    const { ownerId, ...conversation } = Conversations.save(req.ownerId, req.params.id, { messages, tree }, existing);
+    res.status(201).json(conversation);
+});
+
+/**
+ * Delete Conversation
+ * DELETE /api/conversations/:id
+ */
+app.delete('/api/conversations/:id', requireOwner, requireConversationId, (req, res) => {
+    if (!Conversations.delete(req.ownerId, req.params.id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.status(204).end();
+});
+
+// ==================== ATTACHMENT ROUTES ====================
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CONFIG.ATTACHMENT_MAX_BYTES, files: 1 },
+});
+
+const summarizeAttachment = ({ ownerId, text, ...attachment }) => ({
+    ...attachment,
+    characters: text.length,
+    preview: text.slice(0, 200),
+});
+
+/**
+ * Upload Attachment
+ * POST /api/attachments (multipart/form-data, field "file")
+ */
+app.post('/api/attachments', RateLimiter.middleware(), requireOwner, (req, res) => {
+    upload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge
+                    ? `File is too large. Maximum size is ${CONFIG.ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB.`
+                    : 'Invalid upload',
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A file is required' });
+        }
+
+        if (Stores.attachments.filter(attachment => attachment.ownerId === req.ownerId).length
+            >= CONFIG.MAX_ATTACHMENTS_PER_CLIENT) {
+            return res.status(507).json({ error: 'Attachment limit reached. Delete old attachments to continue.' });
+        }
+
+        try {
+            const { text, truncated } = await AttachmentExtractor.extract(req.file);
+            const id = crypto.randomUUID();
+
+            Stores.attachments.set(id, {
+                id,
+                ownerId: req.ownerId,
+                filename: path.basename(req.file.originalname).slice(0, 200),
+                mimeType: req.file.mimetype,
+                size: req.file.size,
+                text,
+                truncated,
+                createdAt: Date.now(),
+            });
+
+            res.status(201).json(summarizeAttachment(Stores.attachments.get(id)));
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+
+            Logger.error('Attachment upload error', error);
+            res.status(500).json({ error: 'Failed to process attachment' });
+        }
+    });
+});
+
+/**
+ * Get Attachment
+ * GET /api/attachments/:id
+ */
+app.get('/api/attachments/:id', requireOwner, (req, res) => {
+    const attachment = Stores.attachments.get(req.params.id);
+
+    if (!attachment || attachment.ownerId !== req.ownerId) {
+        return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json(summarizeAttachment(attachment));
+});
+
+/**
+ * Delete Attachment
+ * DELETE /api/attachments/:id
+ */
+app.delete('/api/attachments/:id', requireOwner, (req, res) => {
+    const attachment = Stores.attachments.get(req.params.id);
+
+    if (!attachment || attachment.ownerId !== req.ownerId) {
+        return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    Stores.attachments.delete(req.params.id);
+    res.status(204).end();
+});
+
+// ==================== FEEDBACK ROUTES ====================
+const Feedback = {
+    key(ownerId, conversationId, messageId) {
+        return `${ownerId}:${conversationId}:${messageId}`;
+    },
+
+    dateKey(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Aggregates ratings into { up, down, total, satisfaction } buckets, optionally grouped.
+     */
+    tally(records, groupBy) {
+        const summarize = (group) => {
+            const up = group.filter(record => record.rating === 'up').length;
+            const down = group.length - up;
+            return {
+                up,
+                down,
+                total: group.length,
+                satisfaction: group.length > 0 ? Number((up / group.length).toFixed(3)) : null,
+            };
+        };
+
+        if (!groupBy) return summarize(records);
+
+        const groups = new Map();
+        records.forEach((record) => {
+            const key = groupBy(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+
+        return [...groups.entries()].map(([key, group]) => ({ key, ...summarize(group) }));
+    },
+
+    report(records) {
+        const reasons = {};
+        records.filter(record => record.reason).forEach((record) => {
+            const key = `${record.rating}:${record.reason}`;
+            reasons[key] = (reasons[key] || 0) + 1;
+        });
+
+        const byTotal = (a, b) => b.total - a.total;
+
+        return {
+            ...this.tally(records),
+            byModel: this.tally(records, record => record.model || 'unknown').sort(byTotal),
+            byTopic: this.tally(records, record => record.topic || 'General').sort(byTotal),
+            byDate: this.tally(records, record => this.dateKey(record.updatedAt))
+                .sort((a, b) => a.key.localeCompare(b.key)),
+            reasons,
+            recentComments: records
+                .filter(record => record.comment)
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .slice(0, 20)
+                .map(({ rating, reason, comment, model, topic, updatedAt }) => ({
+                    rating, reason, comment, model, topic, updatedAt,
+                })),
+        };
+    },
+};
+
+/**
+ * Guards reporting endpoints with ADMIN_TOKEN (Authorization: Bearer <token>).
+ * Without a token configured they are disabled in every environment.
+ */
+const requireAdmin = (req, res, next) => {
+    if (!CONFIG.ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Reporting is disabled. Set ADMIN_TOKEN to enable it.' });
+    }
 
-    warn: (message, meta = {}) => {
-        if (CONFIG.NODE_ENV === 'development') {
-            console.warn(`[WARN] ${message}`, meta);
-        }
-    },
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const expected = Buffer.from(CONFIG.ADMIN_TOKEN);
+    const provided = Buffer.from(token);
 
-    success: (message) => {
-        console.log(`[SUCCESS] ${message}`);
-    },
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
 };
 
-// ==================== COMPANY CONTEXT ====================
-const COMPANY_CONTEXT = `You are an AI assistant for AI Global Networks, a leading company specializing in AI automation and integration solutions.
+/**
+ * Rate a Response
+ * POST /api/feedback
+ */
+app.post('/api/feedback', RateLimiter.middleware(), requireOwner, (req, res) => {
+    const validation = Validators.validateFeedback(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
 
-ABOUT AI GLOBAL NETWORKS:
-- We help businesses automate workflows and integrate AI into their operations
-- Founded with a mission to make AI accessible and practical for all industries
-- Expert team with years of experience in AI, machine learning, and automation
+    const { conversationId, messageId, rating, reason, comment, model, topic } = req.body;
+    const key = Feedback.key(req.ownerId, conversationId, messageId);
+    const existing = Stores.feedback.get(key);
+    const now = Date.now();
 
-OUR SERVICES:
-1. Smart Automation - Automate repetitive tasks with AI
-2. AI Integrations - Connect AI with your existing tools and apps
-3. Custom AI Solutions - Personalized AI tools for your business needs
-4. 24/7 Support - Round-the-clock assistance from our expert team
+    const { ownerId, ...record } = Stores.feedback.set(key, {
+        id: existing?.id || crypto.randomUUID(),
+        ownerId: req.ownerId,
+        conversationId,
+        messageId,
+        rating,
+        reason: reason || null,
+        comment: comment?.trim() || null,
+        model: model || Conversations.get(req.ownerId, conversationId)?.model || null,
+        topic: topic || 'General',
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+    });
 
-INDUSTRIES WE SERVE:
-- Customer Support (AI chatbots, ticket automation)
-- Healthcare (patient management, diagnosis assistance)
-- Marketing (content generation, campaign optimization)
-- Education (personalized learning, grading automation)
-- Finance (fraud detection, automated reporting)
+    res.status(existing ? 200 : 201).json(record);
+});
 
-OUR APPLICATIONS:
-- Sensi Sezuire - AI-powered security monitoring
-- Block Spy - Blockchain intelligence and analytics
-- Ubizo iMarket - Smart marketplace automation
-- Woman in AI - Empowering women in technology
-- Ethical AI - Responsible AI development tools
-- 24/7 Property Hunter - Automated real estate finder
+/**
+ * Remove a Rating
+ * DELETE /api/feedback/:conversationId/:messageId
+ */
+app.delete('/api/feedback/:conversationId/:messageId', requireOwner, (req, res) => {
+    const key = Feedback.key(req.ownerId, req.params.conversationId, req.params.messageId);
 
-SKILLS DEVELOPMENT PROGRAMS:
-- Cybersecurity training
-- Data Science bootcamps
-- Software Development courses
-- Design Thinking workshops
+    if (!Stores.feedback.delete(key)) {
+        return res.status(404).json({ error: 'Feedback not found' });
+    }
 
-PRICING:
-- Free tier available for small businesses
-- Professional plans starting at competitive rates
-- Enterprise solutions with custom pricing
-- No credit card required to get started
+    res.status(204).end();
+});
 
-When answering questions:
-- Be professional, friendly, and helpful
-- Reference our specific services when relevant
-- Encourage users to explore our solutions
-- Provide accurate information about AI automation
-- If unsure about specific pricing or technical details, suggest contacting our team
-- Always maintain a positive, solution-oriented tone`;
+/**
+ * Satisfaction Report
+ * GET /api/feedback/report?from=YYYY-MM-DD&to=YYYY-MM-DD&model=<id>
+ */
+app.get('/api/feedback/report', requireAdmin, (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : 0;
+    const to = req.query.to ? Date.parse(req.query.to) + 24 * 60 * 60 * 1000 : Infinity;
 
-// ==================== VALIDATORS ====================
-const Validators = {
-    validateApiKey() {
-        if (!CONFIG.GROQ_API_KEY) {
-            Logger.error('GROQ_API_KEY is not configured in environment variables');
-            return false;
-        }
-        return true;
-    },
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
 
-    validateChatRequest(body) {
-        const { messages, model, temperature, max_tokens } = body;
+    const records = Stores.feedback.filter(record => record.updatedAt >= from
+        && record.updatedAt < to
+        && (!req.query.model || record.model === req.query.model));
 
-        if (!messages || !Array.isArray(messages) || messages.length === 0) {
-            return { valid: false, error: 'Messages array is required and cannot be empty' };
-        }
+    res.json({
+        from: from ? Feedback.dateKey(from) : null,
+        to: Number.isFinite(to) ? Feedback.dateKey(to - 1) : null,
+        ...Feedback.report(records),
+    });
+});
 
-        if (messages.some(msg => !msg.role || !msg.content)) {
-            return { valid: false, error: 'Each message must have role and content' };
-        }
+// ==================== USAGE ROUTES ====================
 
-        if (temperature && (temperature < 0 || temperature > 2)) {
-            return { valid: false, error: 'Temperature must be between 0 and 2' };
-        }
+/**
+ * Token Usage and Estimated Cost
+ * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&model=...&userId=...
+ */
+app.get('/api/usage', requireAdmin, (req, res) => {
+    const from = req.query.from ? Date.parse(req.query.from) : 0;
+    const to = req.query.to ? Date.parse(req.query.to) + 24 * 60 * 60 * 1000 : Infinity;
 
-        if (max_tokens && (max_tokens < 1 || max_tokens > 4096)) {
-            return { valid: false, error: 'Max tokens must be between 1 and 4096' };
-        }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
 
-        return { valid: true };
-    },
-};
+    const userId = req.query.userId === 'guest' ? null : req.query.userId;
+    const fromDate = from ? Usage.dateKey(from) : null;
+    const toDate = Number.isFinite(to) ? Usage.dateKey(to - 1) : null;
+    const rows = Stores.usage.filter(row => (!fromDate || row.date >= fromDate)
+        && (!toDate || row.date <= toDate)
+        && (!req.query.model || row.model === req.query.model)
+        && (req.query.userId === undefined || row.userId === userId));
 
-// ==================== GROQ API CLIENT ====================
-const GroqClient = {
-    async sendRequest(messages, options = {}) {
-        const {
-            model = 'llama-3.3-70b-versatile',
-            temperature = 0.7,
-            max_tokens = CONFIG.MAX_TOKENS,
-            stream = false,
-        } = options;
+    res.json({
+        from: fromDate,
+        to: toDate,
+        ...Usage.report(rows),
+    });
+});
 
-        const systemMessage = {
-            role: 'system',
-            content: COMPANY_CONTEXT,
-        };
+// ==================== METRICS ROUTE ====================
 
-        const requestBody = {
-            model,
-            messages: [systemMessage, ...messages],
-            temperature,
-            max_tokens,
-            top_p: 1,
-            stream,
-        };
+/**
+ * Prometheus Scrape Endpoint (Authorization: Bearer <ADMIN_TOKEN>)
+ * GET /metrics
+ */
+app.get('/metrics', requireAdmin, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(Metrics.render());
+});
 
-        try {
-            const response = await fetch(CONFIG.GROQ_API_URL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${CONFIG.GROQ_API_KEY}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody),
-            });
+// ==================== SHARE ROUTES ====================
+const SHARE_ID_PATTERN = /^[\w-]{24}$/;
 
-            return response;
-        } catch (error) {
-            Logger.error('Groq API request failed', error);
-            throw error;
-        }
+const Shares = {
+    status(share) {
+        if (share.revokedAt) return 'revoked';
+        if (share.expiresAt && share.expiresAt <= Date.now()) return 'expired';
+        return 'active';
+    },
+
+    summarize({ ownerId, messages, ...share }) {
+        return { ...share, status: this.status(share), url: `/share/${share.id}` };
+    },
+
+    // What a visitor sees: no owner details, and user turns dropped when hidden
+    publicView(share) {
+        return {
+            id: share.id,
+            title: share.title,
+            createdAt: share.createdAt,
+            expiresAt: share.expiresAt,
+            hideUserMessages: share.hideUserMessages,
+            messages: share.messages.filter(msg => !share.hideUserMessages || msg.role === 'assistant'),
+        };
     },
 };
 
-// ==================== EXPRESS APP SETUP ====================
-const app = express();
+/**
+ * Create Share Link
+ * POST /api/shares
+ */
+app.post('/api/shares', RateLimiter.middleware(), requireOwner, (req, res) => {
+    const validation = Validators.validateShare(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static('public'));
+    if (Stores.shares.filter(share => share.ownerId === req.ownerId).length >= CONFIG.MAX_SHARES_PER_CLIENT) {
+        return res.status(507).json({ error: 'Share link limit reached. Revoke old links to continue.' });
+    }
 
-// Request logging middleware (development only)
-if (CONFIG.NODE_ENV === 'development') {
-    app.use((req, res, next) => {
-        const start = Date.now();
-        res.on('finish', () => {
-            const duration = Date.now() - start;
-            Logger.info(`${req.method} ${req.path}`, {
-                status: res.statusCode,
-                duration: `${duration}ms`
-            });
-        });
-        next();
+    const { conversationId, title, hideUserMessages = false, expiresIn = null } = req.body;
+    // System prompts stay private, including as the default title
+    const messages = req.body.messages.filter(msg => msg.role !== 'system');
+    const now = Date.now();
+    // 18 random bytes -> 24 url-safe characters
+    const id = crypto.randomBytes(18).toString('base64url');
+
+    const share = Stores.shares.set(id, {
+        id,
+        ownerId: req.ownerId,
+        conversationId: conversationId || null,
+        title: title || messages[0].content.substring(0, 50),
+        messages: messages
+            .map(({ role, content, sources }) => (role === 'assistant' && Array.isArray(sources)
+                ? { role, content, sources: sources.map(({ title: sourceTitle }) => ({ title: sourceTitle })) }
+                : { role, content })),
+        hideUserMessages,
+        expiresAt: expiresIn ? now + expiresIn * 1000 : null,
+        revokedAt: null,
+        createdAt: now,
     });
-}
 
-// ==================== API ROUTES ====================
+    res.status(201).json(Shares.summarize(share));
+});
 
 /**
- * Health Check Endpoint
- * GET /api/health
+ * List Share Links
+ * GET /api/shares?conversationId=<id>
  */
-app.get('/api/health', (req, res) => {
-    const isHealthy = Validators.validateApiKey();
+app.get('/api/shares', requireOwner, (req, res) => {
+    const shares = Stores.shares
+        .filter(share => share.ownerId === req.ownerId
+            && (!req.query.conversationId || share.conversationId === req.query.conversationId))
+        .sort((a, b) => b.createdAt - a.createdAt);
 
-    res.status(isHealthy ? 200 : 503).json({
-        status: isHealthy ? 'ok' : 'degraded',
-        timestamp: new Date().toISOString(),
-        environment: CONFIG.NODE_ENV,
-        apiConfigured: !!CONFIG.GROQ_API_KEY,
-    });
+    res.json({ shares: shares.map(share => Shares.summarize(share)) });
 });
 
 /**
- * Chat Endpoint - Streaming & Non-Streaming
- * POST /api/chat
+ * Read Shared Chat (public)
+ * GET /api/shares/:id
  */
-app.post('/api/chat', async (req, res) => {
-    // Validate API key
-    if (!Validators.validateApiKey()) {
-        return res.status(500).json({
-            error: 'Server configuration error.',
-        });
+app.get('/api/shares/:id', RateLimiter.middleware(), (req, res) => {
+    const share = SHARE_ID_PATTERN.test(req.params.id) ? Stores.shares.get(req.params.id) : null;
+
+    if (!share) {
+        return res.status(404).json({ error: 'This shared chat does not exist' });
     }
 
-    // Validate request body
-    const validation = Validators.validateChatRequest(req.body);
-    if (!validation.valid) {
-        return res.status(400).json({ error: validation.error });
+    const status = Shares.status(share);
+    if (status !== 'active') {
+        return res.status(410).json({ error: `This shared chat has been ${status === 'revoked' ? 'removed by its owner' : 'expired'}` });
     }
 
-    const { messages, model, temperature, max_tokens, stream = false } = req.body;
+    res.set('X-Robots-Tag', 'noindex');
+    res.json(Shares.publicView(share));
+});
 
-    try {
-        const response = await GroqClient.sendRequest(messages, {
-            model,
-            temperature,
-            max_tokens,
-            stream,
-        });
+/**
+ * Revoke Share Link
+ * DELETE /api/shares/:id
+ */
+app.delete('/api/shares/:id', requireOwner, (req, res) => {
+    const share = Stores.shares.get(req.params.id);
 
-        // Check for API errors
-        if (!response.ok) {
-            const errorData = await response.json();
-            Logger.error('Groq API error', errorData);
+    if (!share || share.ownerId !== req.ownerId) {
+        return res.status(404).json({ error: 'Share link not found' });
+    }
 
-            return res.status(response.status).json({
-                error: errorData.error?.message || 'AI service error',
-            });
-        }
+    // Keep the record so the link reports "removed" rather than "not found"
+    Stores.shares.set(share.id, { ...share, messages: [], revokedAt: share.revokedAt || Date.now() });
+    res.status(204).end();
+});
 
-        // Handle streaming response
-        if (stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            res.setHeader('X-Accel-Buffering', 'no');
+// ==================== ACCOUNT ROUTES ====================
+const requireUser = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({ error: 'API keys can only call the chat and models endpoints' });
+    }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in first' });
+    }
+    next();
+};
 
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) {
-                        res.write('data: [DONE]\n\n');
-                        res.end();
-                        break;
-                    }
+// Same shape for every sign-in response: the account and how many guest chats it took over
+const signIn = (req, res, user, status) => {
+    const adopted = Accounts.adoptGuestData(req.get('X-Client-Id'), user);
+    Accounts.startSession(res, user);
 
-                    const chunk = decoder.decode(value, { stream: true });
-                    const lines = chunk.split('\n');
+    if (adopted > 0) {
+        Logger.info('Guest chats adopted into account', { userId: user.id, conversations: adopted });
+    }
 
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            res.write(`${line}\n\n`);
-                        }
-                    }
-                }
-            } catch (streamError) {
-                Logger.error('Streaming error', streamError);
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Streaming failed' });
-                }
-            }
+    res.status(status).json({ user: Accounts.profile(user), adoptedConversations: adopted });
+};
+
+/**
+ * Create an Account
+ * POST /api/auth/signup
+ */
+app.post('/api/auth/signup', RateLimiter.middleware(), async (req, res, next) => {
+    const validation = Validators.validateCredentials(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        if (Accounts.findByEmail(req.body.email)) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
         }
-        // Handle non-streaming response
-        else {
-            const data = await response.json();
 
-            res.json({
-                message: data.choices[0]?.message?.content || '',
-                model: data.model,
-                usage: data.usage,
-            });
+        const signups = RateLimiter.hit(`signup:ip:${req.ip}`, CONFIG.SIGNUPS_PER_IP, 24 * 60 * 60 * 1000);
+        if (!signups.allowed) {
+            Logger.warn('Signup limit exceeded', { ip: req.ip });
+            return RateLimiter.reject(res, signups, 'Too many accounts were created from this network today. Please try again tomorrow.');
         }
-    } catch (error) {
-        Logger.error('Chat endpoint error', error);
 
-        if (!res.headersSent) {
-            res.status(500).json({
-                error: 'An unexpected error occurred. Please try again.',
-            });
+        const user = await Accounts.create(req.body.email, req.body.password);
+        if (!user) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
         }
+        Logger.info('Account created', { userId: user.id });
+        signIn(req, res, user, 201);
+    } catch (error) {
+        next(error);
     }
 });
 
 /**
- * Available Models Endpoint
- * GET /api/models
+ * Sign In
+ * POST /api/auth/login
  */
-app.get('/api/models', async (req, res) => {
-    if (!Validators.validateApiKey()) {
-        return res.status(500).json({ error: 'API key not configured' });
+app.post('/api/auth/login', RateLimiter.middleware(), async (req, res, next) => {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Checked for unknown emails too, so a lockout doesn't reveal which emails have accounts
+    const lock = Accounts.loginLock(email);
+    if (lock) {
+        return RateLimiter.reject(res, { resetAt: lock.lockedUntil }, 'Too many failed sign-in attempts. Please try again later.');
     }
 
     try {
-        const response = await fetch('https://api.groq.com/openai/v1/models', {
-            headers: {
-                'Authorization': `Bearer ${CONFIG.GROQ_API_KEY}`,
-                'Content-Type': 'application/json',
-            },
-        });
+        const user = Accounts.findByEmail(email);
+        let valid = false;
 
-        if (!response.ok) {
-            throw new Error('Failed to fetch models');
+        if (user) {
+            valid = await Accounts.verifyPassword(password, user.passwordHash);
+        } else {
+            // Hash anyway so response times don't reveal which emails have accounts
+            await Accounts.hashPassword(password);
         }
 
-        const data = await response.json();
-        res.json(data);
+        if (!valid) {
+            const failures = Accounts.recordLoginFailure(email);
+            Logger.warn('Failed sign-in', { ip: req.ip, failures: failures.count });
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        Accounts.clearLoginFailures(email);
+        signIn(req, res, user, 200);
     } catch (error) {
-        Logger.error('Models endpoint error', error);
-        res.status(500).json({ error: 'Failed to fetch available models' });
+        next(error);
+    }
+});
+
+/**
+ * Sign Out
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', (req, res) => {
+    Accounts.endSession(req, res);
+    res.status(204).end();
+});
+
+/**
+ * Current Account and Today's Usage
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', (req, res) => {
+    const budget = RateLimiter.getTokenBudget(RateLimiter.usageKey(req));
+
+    res.json({
+        user: req.user ? Accounts.profile(req.user) : null,
+        usage: {
+            tokensUsed: budget.used,
+            tokensLimit: CONFIG.DAILY_TOKEN_BUDGET,
+            resetAt: budget.resetAt,
+        },
+    });
+});
+
+/**
+ * Save Account Settings
+ * PUT /api/auth/settings
+ */
+app.put('/api/auth/settings', requireUser, (req, res) => {
+    const validation = Validators.validateSettings(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const settings = { ...req.user.settings };
+    ['model', 'temperature', 'stream'].forEach((key) => {
+        if (req.body[key] !== undefined) settings[key] = req.body[key];
+    });
+
+    Stores.users.set(req.user.id, { ...req.user, settings });
+    res.json({ settings });
+});
+
+// ==================== API KEY ROUTES ====================
+
+/**
+ * Issue an API Key (the key is only returned here)
+ * POST /api/keys
+ */
+app.post('/api/keys', RateLimiter.middleware(), requireUser, (req, res) => {
+    const validation = Validators.validateApiKeyRequest(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    const active = Stores.apiKeys.filter(apiKey => apiKey.userId === req.user.id && !apiKey.revokedAt);
+    if (active.length >= CONFIG.MAX_API_KEYS_PER_USER) {
+        return res.status(409).json({ error: 'API key limit reached. Revoke an unused key first.' });
+    }
+
+    const { key, record } = ApiKeys.create(req.user, req.body);
+    Logger.info('API key created', { userId: req.user.id, keyId: record.id });
+
+    res.status(201).json({ ...ApiKeys.summarize(record), key });
+});
+
+/**
+ * List API Keys
+ * GET /api/keys
+ */
+app.get('/api/keys', requireUser, (req, res) => {
+    res.json({
+        keys: Stores.apiKeys
+            .filter(apiKey => apiKey.userId === req.user.id)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(apiKey => ApiKeys.summarize(apiKey)),
+    });
+});
+
+/**
+ * Revoke an API Key
+ * DELETE /api/keys/:id
+ */
+app.delete('/api/keys/:id', requireUser, (req, res) => {
+    const apiKey = Stores.apiKeys.get(req.params.id);
+
+    if (!apiKey || apiKey.userId !== req.user.id) {
+        return res.status(404).json({ error: 'API key not found' });
     }
+
+    // Kept so the owner can still see when it was last used
+    Stores.apiKeys.set(apiKey.id, { ...apiKey, revokedAt: apiKey.revokedAt || Date.now() });
+    Logger.info('API key revoked', { userId: req.user.id, keyId: apiKey.id });
+    res.status(204).end();
 });
 
 // ==================== STATIC ROUTES ====================
@@ -333,6 +3903,15 @@ app.get('/chat', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'chatbot.html'));
 });
 
+app.get('/share/:id', (req, res) => {
+    // Shared transcripts render third-party text, so only allow our own and CDN scripts
+    res.set({
+        'Content-Security-Policy': "script-src 'self' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; object-src 'none'; base-uri 'self'",
+        'X-Robots-Tag': 'noindex',
+    });
+    res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
 // ==================== ERROR HANDLING ====================
 
 // 404 Handler
@@ -354,44 +3933,92 @@ app.use((err, req, res, next) => {
 });
 
 // ==================== SERVER STARTUP ====================
-const server = app.listen(CONFIG.PORT, () => {
-    Logger.success(`Server running on port ${CONFIG.PORT}`);
-    Logger.info(`Environment: ${CONFIG.NODE_ENV}`);
-    Logger.info(`API Key: ${CONFIG.GROQ_API_KEY ? 'Configured' : 'Not Set'}`);
+const startServer = () => {
+    KnowledgeBase.load();
+    KnowledgeBase.watch();
+    ModelCatalog.get().catch(error => Logger.warn('Model catalog warm-up failed', { error: error.message }));
 
-    if (!CONFIG.GROQ_API_KEY) {
-        Logger.warn('GROQ_API_KEY not found. Please set it in .env file');
-    }
-});
+    const server = app.listen(CONFIG.PORT, () => {
+        Logger.success(`Server running on port ${CONFIG.PORT}`);
+        Logger.info(`Environment: ${CONFIG.NODE_ENV}`);
+        Logger.info(`LLM Provider: ${CONFIG.LLM_PROVIDER}`);
+        Logger.info(`Configured providers: ${ProviderRegistry.configured().map(p => p.name).join(', ') || 'none'}`);
+
+        if (!ProviderRegistry.getDefault()?.isConfigured()) {
+            Logger.warn(`LLM provider "${CONFIG.LLM_PROVIDER}" is not configured. Please set its keys in .env file`);
+        }
+    });
+
+    process.on('SIGTERM', () => gracefulShutdown(server, 'SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown(server, 'SIGINT'));
+
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        Logger.error('Uncaught Exception', error);
+        gracefulShutdown(server, 'UNCAUGHT_EXCEPTION');
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        Logger.error('Unhandled Rejection', { reason, promise });
+    });
+
+    return server;
+};
 
 // ==================== GRACEFUL SHUTDOWN ====================
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = (server, signal) => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+
     Logger.info(`${signal} received. Shutting down gracefully...`);
 
     server.close(() => {
+        Stores.flushAll();
         Logger.success('Server closed successfully');
         process.exit(0);
     });
 
-    // Force shutdown after 10 seconds
+    // Let in-flight streams finish, leaving a second to notify any that don't
+    SSE.drain(Math.max(0, CONFIG.SHUTDOWN_TIMEOUT - 1000)).then(() => {
+        server.closeIdleConnections?.();
+    });
+
+    // Force shutdown once the timeout expires
     setTimeout(() => {
         Logger.error('Could not close connections in time, forcefully shutting down');
+        Stores.flushAll();
         process.exit(1);
-    }, 10000);
+    }, CONFIG.SHUTDOWN_TIMEOUT).unref();
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    Logger.error('Uncaught Exception', error);
-    gracefulShutdown('UNCAUGHT_EXCEPTION');
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    Logger.error('Unhandled Rejection', { reason, promise });
-});
+// Started directly (npm start); tests require the module without listening
+if (require.main === module) {
+    startServer();
+}
 
 // ==================== EXPORTS ====================
-module.exports = app;
\ No newline at end of file
+// The app is the default export; the named internals are there for unit tests
+module.exports = app;
+Object.assign(module.exports, {
+    CONFIG,
+    parseTrustProxy,
+    KnowledgeBase,
+    ProviderRegistry,
+    ModelCatalog,
+    Validators,
+    CircuitBreaker,
+    GroqClient,
+    TokenEstimator,
+    ContextBudget,
+    ResponseCache,
+    AttachmentExtractor,
+    RateLimiter,
+    Stores,
+    Conversations,
+    Accounts,
+    ApiKeys,
+    Usage,
+    Health,
+    SSE,
+    startServer,
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { Accounts, Stores, CONFIG } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const request = async (method, url, { clientId, cookie, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (clientId) headers['X-Client-Id'] = clientId;
+    if (cookie) headers.Cookie = cookie;
+
+    const response = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+    const text = await response.text();
+    return {
+        status: response.status,
+        headers: response.headers,
+        cookie: (response.headers.get('set-cookie') || '').split(';')[0],
+        body: text ? JSON.parse(text) : null,
+    };
+};
+
+describe('/api/auth', () => {
+    it('signs up, reports the session and signs out', async () => {
+        const signup = await request('POST', '/api/auth/signup', { body: { email: ' Ada@Example.com ', password: 'correct horse' } });
+        assert.equal(signup.status, 201);
+        assert.equal(signup.body.user.email, 'ada@example.com');
+        assert.equal(signup.body.user.passwordHash, undefined);
+        assert.match(signup.headers.get('set-cookie'), /^sid=[\w-]+;.*HttpOnly/i);
+
+        const me = await request('GET', '/api/auth/me', { cookie: signup.cookie });
+        assert.equal(me.body.user.id, signup.body.user.id);
+
+        assert.equal((await request('POST', '/api/auth/logout', { cookie: signup.cookie })).status, 204);
+        assert.equal((await request('GET', '/api/auth/me', { cookie: signup.cookie })).body.user, null);
+    });
+
+    it('rejects invalid credentials and duplicate emails', async () => {
+        assert.equal((await request('POST', '/api/auth/signup', { body: { email: 'nope', password: 'correct horse' } })).status, 400);
+        assert.equal((await request('POST', '/api/auth/signup', { body: { email: 'bob@example.com', password: 'short' } })).status, 400);
+        assert.equal((await request('POST', '/api/auth/signup', { body: { email: 'ADA@example.com', password: 'another one' } })).status, 409);
+    });
+
+    it('signs in with the right password only', async () => {
+        const wrong = await request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'wrong horse' } });
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.cookie, '');
+
+        const login = await request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'correct horse' } });
+        assert.equal(login.status, 200);
+        assert.equal((await request('GET', '/api/auth/me', { cookie: login.cookie })).body.user.email, 'ada@example.com');
+    });
+
+    it('locks an email after repeated failures, with a growing lockout', async (t) => {
+        await request('POST', '/api/auth/signup', { body: { email: 'grace@example.com', password: 'correct horse' } });
+        const attempt = password => request('POST', '/api/auth/login', { body: { email: 'grace@example.com', password } });
+
+        for (let i = 0; i < CONFIG.LOGIN_MAX_FAILURES; i++) {
+            assert.equal((await attempt('wrong horse')).status, 401);
+        }
+
+        const locked = await attempt('correct horse');
+        assert.equal(locked.status, 429);
+        assert.equal(locked.headers.get('retry-after'), String(CONFIG.LOGIN_LOCKOUT / 1000));
+
+        // Unknown emails lock the same way, so lockouts don't reveal accounts
+        for (let i = 0; i < CONFIG.LOGIN_MAX_FAILURES; i++) {
+            await request('POST', '/api/auth/login', { body: { email: 'ghost@example.com', password: 'wrong horse' } });
+        }
+        assert.equal((await request('POST', '/api/auth/login', { body: { email: 'ghost@example.com', password: 'x' } })).status, 429);
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + CONFIG.LOGIN_LOCKOUT + 1);
+        assert.equal((await attempt('wrong horse')).status, 401);
+
+        const relocked = await attempt('correct horse');
+        assert.equal(relocked.headers.get('retry-after'), String((2 * CONFIG.LOGIN_LOCKOUT) / 1000));
+
+        Date.now.mock.mockImplementation(() => now + 4 * CONFIG.LOGIN_LOCKOUT);
+        assert.equal((await attempt('correct horse')).status, 200);
+        assert.equal(Accounts.loginFailures.has('grace@example.com'), false);
+    });
+
+    it('moves a guest\'s chats into the account on sign-in', async () => {
+        const guest = crypto.randomUUID();
+        await request('PUT', '/api/conversations/guest-chat', {
+            clientId: guest,
+            body: { title: 'Before signing up', messages: [{ role: 'user', content: 'Hi' }] },
+        });
+
+        const signup = await request('POST', '/api/auth/signup', {
+            clientId: guest,
+            body: { email: 'linus@example.com', password: 'correct horse' },
+        });
+        assert.equal(signup.body.adoptedConversations, 1);
+
+        const mine = await request('GET', '/api/conversations', { cookie: signup.cookie });
+        assert.deepEqual(mine.body.conversations.map(c => c.title), ['Before signing up']);
+        assert.deepEqual((await request('GET', '/api/conversations', { clientId: guest })).body.conversations, []);
+    });
+
+    it('does not adopt chats for a guessable client id', async () => {
+        Stores.conversations.set('short:chat', { id: 'chat', ownerId: 'short', messages: [], updatedAt: Date.now() });
+
+        const adopted = Accounts.adoptGuestData('short', { id: 'someone' });
+        assert.equal(adopted, 0);
+        assert.ok(Stores.conversations.get('short:chat'));
+        assert.equal(Accounts.adoptGuestData('0'.repeat(36), { id: 'someone' }), 0);
+    });
+
+    it('caps signups per IP per day', async () => {
+        const limit = CONFIG.SIGNUPS_PER_IP;
+        // Three accounts were created above
+        CONFIG.SIGNUPS_PER_IP = 3;
+
+        try {
+            const signup = await request('POST', '/api/auth/signup', { body: { email: 'extra@example.com', password: 'correct horse' } });
+            assert.equal(signup.status, 429);
+            assert.match(signup.body.error, /Too many accounts/);
+        } finally {
+            CONFIG.SIGNUPS_PER_IP = limit;
+        }
+    });
+});
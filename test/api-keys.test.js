@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { ProviderRegistry, Stores } = app;
+
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const signup = await fetch(`${baseUrl}/api/auth/signup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: 'partner@example.com', password: 'correct horse' }),
+    });
+    cookie = signup.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const request = async (method, url, { auth, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (auth === 'session') headers.Cookie = cookie;
+    else if (auth) headers.Authorization = `Bearer ${auth}`;
+
+    const response = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+    const text = await response.text();
+    let parsed = null;
+    try {
+        parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+        parsed = text;
+    }
+    return { status: response.status, body: parsed };
+};
+
+describe('/api/keys', () => {
+    it('issues keys to signed-in users only and shows each key once', async () => {
+        assert.equal((await request('POST', '/api/keys', { body: { name: 'Partner' } })).status, 401);
+
+        const created = await request('POST', '/api/keys', { auth: 'session', body: { name: 'Partner' } });
+        assert.equal(created.status, 201);
+        assert.match(created.body.key, /^agn_[\w-]{32}$/);
+        assert.deepEqual(created.body.scopes, ['chat', 'models']);
+        assert.equal(created.body.hash, undefined);
+
+        const listed = await request('GET', '/api/keys', { auth: 'session' });
+        assert.equal(listed.body.keys.length, 1);
+        assert.equal(listed.body.keys[0].key, undefined);
+        assert.equal(listed.body.keys[0].hint, `${created.body.key.slice(0, 8)}…${created.body.key.slice(-4)}`);
+    });
+
+    it('lets a key call only the endpoints its scopes allow', async (t) => {
+        t.mock.method(ProviderRegistry.get('groq'), 'listModels', async () => [{ id: 'llama-3.3-70b-versatile' }]);
+        const full = await request('POST', '/api/keys', { auth: 'session', body: { name: 'Catalog' } });
+        const chatOnly = await request('POST', '/api/keys', { auth: 'session', body: { name: 'Chat only', scopes: ['chat'] } });
+
+        assert.equal((await request('GET', '/api/models', { auth: full.body.key })).status, 200);
+        assert.equal((await request('GET', '/api/models', { auth: chatOnly.body.key })).status, 403);
+        // Stored chats, accounts and key management stay browser-only
+        assert.equal((await request('GET', '/api/conversations', { auth: full.body.key })).status, 403);
+        assert.equal((await request('GET', '/api/keys', { auth: full.body.key })).status, 403);
+
+        const used = Stores.apiKeys.get(full.body.id);
+        assert.ok(used.lastUsedAt > 0);
+    });
+
+    it('rejects unknown and revoked keys on the API but not on static assets', async () => {
+        const created = await request('POST', '/api/keys', { auth: 'session', body: { name: 'Short-lived' } });
+        assert.equal((await request('DELETE', `/api/keys/${created.body.id}`, { auth: 'session' })).status, 204);
+
+        const revoked = await request('GET', '/api/models', { auth: created.body.key });
+        assert.equal(revoked.status, 401);
+        assert.match(revoked.body.error, /Invalid or revoked API key/);
+        assert.equal((await request('GET', '/api/models', { auth: 'agn_not-a-key' })).status, 401);
+
+        assert.equal((await request('GET', '/chatbot.css', { auth: 'agn_not-a-key' })).status, 200);
+        assert.equal((await request('GET', '/', { auth: 'agn_not-a-key' })).status, 200);
+    });
+
+    it('keeps each user to their own keys', async () => {
+        const created = await request('POST', '/api/keys', { auth: 'session', body: { name: 'Mine' } });
+        const other = await fetch(`${baseUrl}/api/auth/signup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: 'someone@example.com', password: 'correct horse' }),
+        });
+        const otherCookie = other.headers.get('set-cookie').split(';')[0];
+
+        const response = await fetch(`${baseUrl}/api/keys/${created.body.id}`, { method: 'DELETE', headers: { Cookie: otherCookie } });
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { AttachmentExtractor, Validators, Stores, CONFIG } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const alice = crypto.randomUUID();
+const bob = crypto.randomUUID();
+
+const upload = (clientId, filename, content, type = 'text/plain') => {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), filename);
+    return fetch(`${baseUrl}/api/attachments`, {
+        method: 'POST',
+        headers: { 'X-Client-Id': clientId },
+        body: form,
+    });
+};
+
+const file = (originalname, content, mimetype = '') => ({
+    originalname,
+    mimetype,
+    buffer: Buffer.from(content),
+});
+
+describe('AttachmentExtractor.extract', () => {
+    it('normalizes whitespace in text files', async () => {
+        const { text, truncated } = await AttachmentExtractor.extract(file('notes.md', 'Line one  \r\n\r\n\r\n\r\nLine two\n'));
+        assert.equal(text, 'Line one\n\nLine two');
+        assert.equal(truncated, false);
+    });
+
+    it('checks the extension, declared type and magic bytes', async () => {
+        await assert.rejects(AttachmentExtractor.extract(file('tool.exe', 'MZ')), { status: 415, message: /Unsupported file type/ });
+        await assert.rejects(AttachmentExtractor.extract(file('report.pdf', 'just text')), { status: 415, message: /does not match/ });
+        await assert.rejects(AttachmentExtractor.extract(file('notes.txt', 'hello', 'image/png')), { status: 415 });
+        await assert.rejects(AttachmentExtractor.extract(file('notes.txt', Buffer.from([0x68, 0x00, 0x69]))), { status: 415 });
+    });
+
+    it('rejects files without readable text and truncates long ones', async () => {
+        await assert.rejects(AttachmentExtractor.extract(file('blank.txt', ' \n\n ')), { status: 422 });
+
+        const { text, truncated } = await AttachmentExtractor.extract(file('long.txt', 'x'.repeat(CONFIG.ATTACHMENT_MAX_CHARS + 1)));
+        assert.equal(text.length, CONFIG.ATTACHMENT_MAX_CHARS);
+        assert.equal(truncated, true);
+    });
+});
+
+describe('AttachmentExtractor.buildPromptSection', () => {
+    before(() => {
+        const now = Date.now();
+        Stores.attachments.set('a1', { id: 'a1', ownerId: 'owner-1', filename: 'brief.txt', text: 'a'.repeat(20000), truncated: false, createdAt: now });
+        Stores.attachments.set('a2', { id: 'a2', ownerId: 'owner-1', filename: 'notes.txt', text: 'Short notes', truncated: false, createdAt: now });
+        Stores.attachments.set('b1', { id: 'b1', ownerId: 'owner-2', filename: 'secret.txt', text: 'Not yours', truncated: false, createdAt: now });
+    });
+
+    after(() => ['a1', 'a2', 'b1'].forEach(id => Stores.attachments.delete(id)));
+
+    it('includes only the owner\'s referenced attachments and shares the character budget', () => {
+        const section = AttachmentExtractor.buildPromptSection('owner-1', [
+            { role: 'user', content: 'Summarize these', attachments: [{ id: 'a1' }, { id: 'b1' }] },
+            { role: 'user', content: 'And this', attachments: [{ id: 'a2' }, { id: 'a1' }] },
+        ]);
+
+        assert.match(section, /^ATTACHED DOCUMENTS/);
+        assert.match(section, /--- brief\.txt \(excerpt\) ---\na{12000}\n/);
+        assert.match(section, /--- notes\.txt ---\nShort notes$/);
+        assert.doesNotMatch(section, /Not yours/);
+    });
+
+    it('is empty when no accessible attachment is referenced', () => {
+        assert.equal(AttachmentExtractor.buildPromptSection('owner-2', [{ role: 'user', content: 'hi', attachments: [{ id: 'a1' }] }]), '');
+        assert.equal(AttachmentExtractor.buildPromptSection('owner-1', [{ role: 'user', content: 'hi' }]), '');
+    });
+});
+
+describe('AttachmentExtractor.sweep', () => {
+    it('deletes attachments older than ATTACHMENT_RETENTION_DAYS', () => {
+        const day = 24 * 60 * 60 * 1000;
+        Stores.attachments.set('old', { id: 'old', ownerId: 'owner-1', text: 'x', createdAt: Date.now() - (CONFIG.ATTACHMENT_RETENTION_DAYS + 1) * day });
+        Stores.attachments.set('new', { id: 'new', ownerId: 'owner-1', text: 'x', createdAt: Date.now() - day });
+
+        AttachmentExtractor.sweep();
+
+        assert.equal(Stores.attachments.get('old'), null);
+        assert.ok(Stores.attachments.get('new'));
+        Stores.attachments.delete('new');
+    });
+});
+
+describe('Validators.validateChatRequest attachments', () => {
+    it('accepts only lists of { id } references', () => {
+        const withAttachments = attachments => ({ messages: [{ role: 'user', content: 'hi', attachments }] });
+        assert.equal(Validators.validateChatRequest(withAttachments([{ id: 'abc' }])).valid, true);
+        assert.equal(Validators.validateChatRequest(withAttachments('abc')).valid, false);
+        assert.equal(Validators.validateChatRequest(withAttachments([{ id: 1 }])).valid, false);
+    });
+});
+
+describe('Attachment routes', () => {
+    it('extracts an upload and serves it only to its owner', async () => {
+        const response = await upload(alice, 'notes.txt', 'Quarterly numbers are up.');
+        assert.equal(response.status, 201);
+        const attachment = await response.json();
+        assert.equal(attachment.filename, 'notes.txt');
+        assert.equal(attachment.characters, 25);
+        assert.equal(attachment.preview, 'Quarterly numbers are up.');
+        assert.equal(attachment.text, undefined);
+        assert.equal(attachment.ownerId, undefined);
+
+        const url = `${baseUrl}/api/attachments/${attachment.id}`;
+        assert.equal((await fetch(url, { headers: { 'X-Client-Id': alice } })).status, 200);
+        assert.equal((await fetch(url, { headers: { 'X-Client-Id': bob } })).status, 404);
+        assert.equal((await fetch(url, { method: 'DELETE', headers: { 'X-Client-Id': bob } })).status, 404);
+        assert.equal((await fetch(url, { method: 'DELETE', headers: { 'X-Client-Id': alice } })).status, 204);
+        assert.equal((await fetch(url, { headers: { 'X-Client-Id': alice } })).status, 404);
+    });
+
+    it('reports rejected files with their status', async () => {
+        const unsupported = await upload(alice, 'tool.exe', 'MZ', 'application/octet-stream');
+        assert.equal(unsupported.status, 415);
+
+        const missing = await fetch(`${baseUrl}/api/attachments`, { method: 'POST', headers: { 'X-Client-Id': alice }, body: new FormData() });
+        assert.equal(missing.status, 400);
+    });
+
+    it('refuses uploads past MAX_ATTACHMENTS_PER_CLIENT', async () => {
+        const limit = CONFIG.MAX_ATTACHMENTS_PER_CLIENT;
+        CONFIG.MAX_ATTACHMENTS_PER_CLIENT = 2;
+
+        try {
+            assert.equal((await upload(bob, 'one.txt', 'one')).status, 201);
+            assert.equal((await upload(bob, 'two.txt', 'two')).status, 201);
+
+            const full = await upload(bob, 'three.txt', 'three');
+            assert.equal(full.status, 507);
+            assert.match((await full.json()).error, /Attachment limit reached/);
+
+            assert.equal((await upload(alice, 'mine.txt', 'mine')).status, 201);
+        } finally {
+            CONFIG.MAX_ATTACHMENTS_PER_CLIENT = limit;
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const { ContextBudget, TokenEstimator, GroqClient, CONFIG } = require('../server');
+
+// 1000-token window for unknown models: 950 usable, minus 200 reserved for the reply
+const options = { model: 'tiny-model', systemPrompt: '', maxTokens: 200 };
+
+// 400 ASCII characters at 4 characters per token, plus 4 tokens of message overhead
+const turn = (index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `${index}`.padEnd(400, '.'),
+});
+const conversation = length => Array.from({ length }, (_, index) => turn(index));
+
+const summaryResponse = (content = 'They discussed pricing.') => new Response(JSON.stringify({
+    model: 'llama-3.1-8b-instant',
+    choices: [{ message: { content } }],
+    usage: { prompt_tokens: 700, completion_tokens: 20, total_tokens: 720 },
+}), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+before(() => {
+    CONFIG.DEFAULT_CONTEXT_WINDOW = 1000;
+});
+
+after(() => fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true }));
+
+describe('TokenEstimator', () => {
+    it('uses per-family ratios and counts non-ASCII characters as whole tokens', () => {
+        assert.equal(TokenEstimator.estimate('', 'gpt-4o'), 0);
+        assert.equal(TokenEstimator.estimate('a'.repeat(40), 'gpt-4o'), 10);
+        assert.equal(TokenEstimator.estimate('a'.repeat(38), 'llama-3.3-70b-versatile'), 10);
+        assert.equal(TokenEstimator.estimate('日本語', 'gpt-4o'), 3);
+    });
+
+    it('adds per-message overhead', () => {
+        assert.equal(TokenEstimator.estimateMessages(conversation(2), 'tiny-model'), 208);
+    });
+});
+
+describe('ContextBudget.prepare', () => {
+    it('sends short conversations unchanged', async (t) => {
+        const sendRequest = t.mock.method(GroqClient, 'sendRequest');
+        const messages = conversation(3);
+
+        const result = await ContextBudget.prepare(messages, options);
+
+        assert.deepEqual(result.messages, messages);
+        assert.equal(result.context.condensed, false);
+        assert.equal(result.context.estimatedTokens, 312);
+        assert.equal(result.context.contextWindow, 1000);
+        assert.equal(sendRequest.mock.callCount(), 0);
+    });
+
+    it('replaces the turns covered by the client summary', async () => {
+        const messages = conversation(3);
+
+        const result = await ContextBudget.prepare(messages, { ...options, summary: { content: 'Earlier talk.', count: 2 } });
+
+        assert.equal(result.messages.length, 2);
+        assert.equal(result.messages[0].role, 'system');
+        assert.match(result.messages[0].content, /Earlier talk\./);
+        assert.deepEqual(result.messages[1], messages[2]);
+        assert.deepEqual(result.context.summary, { content: 'Earlier talk.', count: 2 });
+    });
+
+    it('summarizes older turns and keeps the newest ones verbatim', async (t) => {
+        const sendRequest = t.mock.method(GroqClient, 'sendRequest', async () => summaryResponse());
+        const onUsage = t.mock.fn();
+        const messages = conversation(10);
+
+        const result = await ContextBudget.prepare(messages, { ...options, onUsage });
+
+        // 4 kept turns (416 tokens) fit CONTEXT_KEEP_RATIO of the 750-token budget; a fifth does not
+        assert.deepEqual(result.messages.slice(1), messages.slice(6));
+        assert.match(result.messages[0].content, /They discussed pricing\./);
+        assert.deepEqual(result.context.summary, { content: 'They discussed pricing.', count: 6 });
+        assert.equal(result.context.condensed, true);
+        assert.equal(result.context.trimmed, false);
+
+        const [summaryMessages] = sendRequest.mock.calls[0].arguments;
+        assert.match(summaryMessages[0].content, /^User: 0\.+\n\nAssistant: 1/);
+        assert.equal(onUsage.mock.calls[0].arguments[0].total_tokens, 720);
+    });
+
+    it('drops the oldest turns when summarizing fails', async (t) => {
+        t.mock.method(GroqClient, 'sendRequest', async () => new Response('{}', { status: 503 }));
+        const messages = conversation(10);
+
+        const result = await ContextBudget.prepare(messages, options);
+
+        assert.deepEqual(result.messages, messages.slice(6));
+        assert.equal(result.context.trimmed, true);
+        assert.equal(result.context.droppedMessages, 6);
+        assert.equal(result.context.summary, null);
+    });
+
+    it('does not swallow cancellation while summarizing', async (t) => {
+        t.mock.method(GroqClient, 'sendRequest', async () => {
+            throw new DOMException('Aborted', 'AbortError');
+        });
+
+        await assert.rejects(ContextBudget.prepare(conversation(10), options), { name: 'AbortError' });
+    });
+
+    it('rejects a latest message that cannot fit on its own', async () => {
+        const result = await ContextBudget.prepare([{ role: 'user', content: 'x'.repeat(4000) }], options);
+        assert.match(result.error, /too long for this model \(about 1004 tokens, limit 750\)/);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { Stores } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const alice = crypto.randomUUID();
+const bob = crypto.randomUUID();
+
+const request = async (method, url, { clientId = alice, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (clientId) headers['X-Client-Id'] = clientId;
+
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+describe('/api/conversations', () => {
+    it('requires a long random client id', async () => {
+        assert.equal((await request('GET', '/api/conversations', { clientId: null })).status, 400);
+        assert.equal((await request('GET', '/api/conversations', { clientId: '1700000000000abc' })).status, 400);
+        assert.equal((await request('GET', '/api/conversations', { clientId: 'x'.repeat(65) })).status, 400);
+        assert.equal((await request('GET', '/api/conversations', { clientId: 'a'.repeat(40) })).status, 400);
+        assert.equal((await request('GET', '/api/conversations', { clientId: '00000000-0000-0000-0000-000000000001' })).status, 400);
+        assert.equal((await request('GET', '/api/conversations')).status, 200);
+    });
+
+    it('creates, reads, updates and deletes a conversation', async () => {
+        const created = await request('POST', '/api/conversations', {
+            body: { id: 'chat-1', messages: [{ role: 'user', content: 'What do you offer?' }] },
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.title, 'What do you offer?');
+        assert.equal(created.body.ownerId, undefined);
+
+        assert.equal((await request('POST', '/api/conversations', { body: { id: 'chat-1' } })).status, 409);
+
+        const appended = await request('POST', '/api/conversations/chat-1/messages', {
+            body: { role: 'assistant', content: 'Automation and integration.', extra: 'dropped' },
+        });
+        assert.equal(appended.status, 201);
+        const { id, ...reply } = appended.body.messages.at(-1);
+        assert.deepEqual(reply, { role: 'assistant', content: 'Automation and integration.' });
+        assert.match(id, /^[0-9a-f-]{36}$/);
+
+        const renamed = await request('PUT', '/api/conversations/chat-1', { body: { title: 'Services' } });
+        assert.equal(renamed.status, 200);
+        assert.equal(renamed.body.title, 'Services');
+        assert.equal(renamed.body.messages.length, 2);
+
+        const list = await request('GET', '/api/conversations');
+        assert.deepEqual(list.body.conversations.map(c => [c.id, c.messageCount]), [['chat-1', 2]]);
+
+        assert.equal((await request('DELETE', '/api/conversations/chat-1')).status, 204);
+        assert.equal((await request('GET', '/api/conversations/chat-1')).status, 404);
+        assert.equal((await request('DELETE', '/api/conversations/chat-1')).status, 404);
+    });
+
+    it('appends messages below the selected branch of a message tree', async () => {
+        const node = (role, content, parentId, children = []) => ({ role, content, parentId, children });
+        const tree = {
+            nodes: {
+                q: node('user', 'Pricing?', null, ['a1', 'a2']),
+                a1: node('assistant', 'First answer', 'q'),
+                a2: node('assistant', 'Regenerated answer', 'q'),
+            },
+            rootIds: ['q'],
+            selected: { q: 'a1' },
+        };
+        await request('PUT', '/api/conversations/branched', { body: { messages: [], tree } });
+
+        const appended = await request('POST', '/api/conversations/branched/messages', {
+            body: { role: 'user', content: 'Thanks' },
+        });
+        const [message] = appended.body.messages;
+        const saved = appended.body.tree;
+        assert.deepEqual(saved.nodes.a1.children, [message.id]);
+        assert.deepEqual(saved.nodes.a2.children, []);
+        assert.equal(saved.nodes[message.id].parentId, 'a1');
+        assert.equal(saved.selected.a1, message.id);
+
+        assert.equal((await request('PUT', '/api/conversations/branched', { body: { tree: { nodes: {} } } })).status, 400);
+    });
+
+    it('keeps each client to its own conversations', async () => {
+        await request('PUT', '/api/conversations/private', { body: { title: 'Mine', messages: [] } });
+
+        assert.equal((await request('GET', '/api/conversations/private', { clientId: bob })).status, 404);
+        assert.equal((await request('DELETE', '/api/conversations/private', { clientId: bob })).status, 404);
+        assert.deepEqual((await request('GET', '/api/conversations', { clientId: bob })).body.conversations, []);
+
+        // The same id under another client is a separate conversation
+        const theirs = await request('PUT', '/api/conversations/private', { clientId: bob, body: { title: 'Theirs' } });
+        assert.equal(theirs.status, 201);
+        assert.equal((await request('GET', '/api/conversations/private')).body.title, 'Mine');
+    });
+
+    it('rejects invalid ids and messages', async () => {
+        assert.equal((await request('GET', '/api/conversations/bad%20id')).status, 400);
+        assert.equal((await request('PUT', '/api/conversations/chat-2', { body: { messages: [{ role: 'bot', content: 'x' }] } })).status, 400);
+        assert.equal((await request('PUT', '/api/conversations/chat-2', { body: { title: 5 } })).status, 400);
+    });
+
+    it('persists conversations to DATA_DIR', async () => {
+        await request('PUT', '/api/conversations/saved', { body: { title: 'Saved' } });
+        Stores.flushAll();
+
+        const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'conversations.json'), 'utf8'));
+        assert.equal(saved[`${alice}:saved`].title, 'Saved');
+    });
+});
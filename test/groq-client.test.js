@@ -0,0 +1,212 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.LLM_PROVIDER = 'groq';
+process.env.GROQ_API_KEY = 'test-key';
+process.env.UPSTREAM_MAX_RETRIES = '2';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '3';
+process.env.CIRCUIT_RESET_TIMEOUT = '30000';
+
+const { CircuitBreaker, GroqClient, ModelCatalog, Stores, CONFIG } = require('../server');
+
+after(() => {
+    Stores.flushAll();
+    fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    CircuitBreaker.circuits.clear();
+    ModelCatalog.entries = [];
+    CONFIG.FALLBACK_MODELS = undefined;
+});
+
+const PRIMARY = 'llama-3.3-70b-versatile';
+const FALLBACK = 'llama-3.1-8b-instant';
+const messages = [{ role: 'user', content: 'Hello' }];
+
+const reply = (status, headers = {}) => new Response(status === 200 ? '{"choices":[]}' : '{"error":{}}', { status, headers });
+
+/**
+ * Replaces the upstream call with scripted replies per model (a status, or an
+ * Error to throw) and skips backoff waits. Returns the models requested, in order.
+ */
+const scriptUpstream = (t, script) => {
+    const calls = [];
+    t.mock.method(GroqClient, 'sleep', async () => {});
+    t.mock.method(GroqClient, 'sendRequest', async (sent, options) => {
+        calls.push(options.model);
+        const next = script[options.model].length > 1 ? script[options.model].shift() : script[options.model][0];
+        if (next instanceof Error) throw next;
+        return typeof next === 'number' ? reply(next) : next;
+    });
+    return calls;
+};
+
+describe('CircuitBreaker', () => {
+    it('opens after consecutive failures and stays open until the reset timeout', (t) => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+
+        CircuitBreaker.failure('groq/a');
+        CircuitBreaker.failure('groq/a');
+        assert.equal(CircuitBreaker.allow('groq/a'), true);
+
+        CircuitBreaker.failure('groq/a');
+        assert.equal(CircuitBreaker.allow('groq/a'), false);
+        assert.deepEqual(CircuitBreaker.openCircuits(), ['groq/a']);
+        assert.equal(CircuitBreaker.retryAfter(['groq/a']), 30);
+    });
+
+    it('lets a single trial through after the timeout and closes on success', (t) => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+        [1, 2, 3].forEach(() => CircuitBreaker.failure('groq/a'));
+
+        Date.now.mock.mockImplementation(() => now + CONFIG.CIRCUIT_RESET_TIMEOUT);
+        assert.equal(CircuitBreaker.allow('groq/a'), true);
+        assert.equal(CircuitBreaker.allow('groq/a'), false);
+
+        CircuitBreaker.success('groq/a');
+        assert.equal(CircuitBreaker.allow('groq/a'), true);
+        assert.deepEqual(CircuitBreaker.openCircuits(), []);
+    });
+
+    it('reopens when the trial fails, and frees the slot when it is cancelled', (t) => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+        [1, 2, 3].forEach(() => CircuitBreaker.failure('groq/a'));
+        Date.now.mock.mockImplementation(() => now + CONFIG.CIRCUIT_RESET_TIMEOUT);
+
+        assert.equal(CircuitBreaker.allow('groq/a'), true);
+        CircuitBreaker.release('groq/a');
+        assert.equal(CircuitBreaker.allow('groq/a'), true);
+
+        CircuitBreaker.failure('groq/a');
+        assert.equal(CircuitBreaker.allow('groq/a'), false);
+    });
+});
+
+describe('GroqClient.complete', () => {
+    it('returns the first successful response', async (t) => {
+        const calls = scriptUpstream(t, { [PRIMARY]: [200] });
+
+        const { response, routing } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(routing, { model: PRIMARY, requestedModel: PRIMARY, fallback: false, attempts: 1 });
+        assert.deepEqual(calls, [PRIMARY]);
+    });
+
+    it('retries retryable statuses and network errors on the same model', async (t) => {
+        const calls = scriptUpstream(t, { [PRIMARY]: [503, new TypeError('fetch failed'), 200] });
+
+        const { response, routing } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(response.status, 200);
+        assert.equal(routing.attempts, 3);
+        assert.equal(calls.length, 3);
+    });
+
+    it('does not retry client errors', async (t) => {
+        const calls = scriptUpstream(t, { [PRIMARY]: [400] });
+
+        const { response } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(calls, [PRIMARY]);
+    });
+
+    it('fails over to FALLBACK_MODELS when a model keeps failing', async (t) => {
+        CONFIG.FALLBACK_MODELS = FALLBACK;
+        const calls = scriptUpstream(t, { [PRIMARY]: [503], [FALLBACK]: [200] });
+
+        const { response, routing } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(routing, { model: FALLBACK, requestedModel: PRIMARY, fallback: true, attempts: 4 });
+        assert.deepEqual(calls, [PRIMARY, PRIMARY, PRIMARY, FALLBACK]);
+    });
+
+    it('fails over at once when Retry-After is longer than the retry limit', async (t) => {
+        CONFIG.FALLBACK_MODELS = FALLBACK;
+        const calls = scriptUpstream(t, {
+            [PRIMARY]: [reply(429, { 'Retry-After': '60' })],
+            [FALLBACK]: [reply(429, { 'Retry-After': '120' })],
+        });
+
+        const { response, retryAfter } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(response.status, 429);
+        assert.equal(retryAfter, 120);
+        assert.deepEqual(calls, [PRIMARY, FALLBACK]);
+    });
+
+    it('fails over without waiting once the circuit opens mid-retry', async (t) => {
+        CONFIG.FALLBACK_MODELS = FALLBACK;
+        const calls = scriptUpstream(t, { [PRIMARY]: [503], [FALLBACK]: [200] });
+        CircuitBreaker.failure(`groq/${PRIMARY}`);
+        CircuitBreaker.failure(`groq/${PRIMARY}`);
+
+        const { routing } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(routing.model, FALLBACK);
+        assert.deepEqual(calls, [PRIMARY, FALLBACK]);
+        assert.equal(GroqClient.sleep.mock.callCount(), 0);
+    });
+
+    it('skips models whose circuit is open', async (t) => {
+        const calls = scriptUpstream(t, { [PRIMARY]: [503] });
+
+        await GroqClient.complete(messages, { model: PRIMARY });
+        const { response, retryAfter } = await GroqClient.complete(messages, { model: PRIMARY });
+
+        assert.equal(calls.length, CONFIG.CIRCUIT_FAILURE_THRESHOLD);
+        assert.equal(response, null);
+        assert.equal(retryAfter, Math.ceil(CONFIG.CIRCUIT_RESET_TIMEOUT / 1000));
+    });
+
+    it('stops without counting a failure when the caller aborts', async (t) => {
+        const abort = new DOMException('The operation was aborted', 'AbortError');
+        scriptUpstream(t, { [PRIMARY]: [abort] });
+
+        await assert.rejects(GroqClient.complete(messages, { model: PRIMARY }), { name: 'AbortError' });
+        assert.equal(CircuitBreaker.get(`groq/${PRIMARY}`).failures, 0);
+    });
+});
+
+describe('GroqClient.candidates', () => {
+    it('routes catalog models whose ids contain a slash to their provider', () => {
+        ModelCatalog.entries = [ModelCatalog.normalize('openai/gpt-oss-120b', 'groq', { id: 'openai/gpt-oss-120b' })];
+        CONFIG.FALLBACK_MODELS = 'openai/gpt-oss-20b';
+
+        const candidates = GroqClient.candidates('openai/gpt-oss-120b');
+
+        assert.deepEqual(candidates.map(candidate => candidate.key), ['groq/openai/gpt-oss-120b']);
+        assert.equal(candidates[0].provider.name, 'groq');
+    });
+
+    it('drops models of unconfigured providers rather than sending them to the default one', () => {
+        CONFIG.FALLBACK_MODELS = `openai/gpt-4o,${FALLBACK}`;
+
+        const candidates = GroqClient.candidates(PRIMARY);
+
+        assert.deepEqual(candidates.map(candidate => candidate.id), [PRIMARY, FALLBACK]);
+    });
+});
+
+describe('GroqClient.parseRetryAfter', () => {
+    it('reads delay-seconds and HTTP dates as milliseconds', (t) => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+
+        assert.equal(GroqClient.parseRetryAfter('3'), 3000);
+        assert.equal(GroqClient.parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT'), 10000);
+        assert.equal(GroqClient.parseRetryAfter('soon'), null);
+        assert.equal(GroqClient.parseRetryAfter(null), null);
+    });
+});
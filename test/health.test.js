@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.LLM_PROVIDER = 'groq';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { Health, CircuitBreaker, ProviderRegistry, Stores, CONFIG } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+    Health.probes.clear();
+    Health.storageProbe = {};
+    Health.lastResults = {};
+    CircuitBreaker.circuits.clear();
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const mockProbe = (t, impl) => t.mock.method(ProviderRegistry.get('groq'), 'probe', impl);
+const get = async (route) => {
+    const response = await fetch(`${baseUrl}${route}`);
+    return { status: response.status, body: await response.json() };
+};
+
+describe('/api/health/ready', () => {
+    it('is ok when storage is writable and the provider answers', async (t) => {
+        mockProbe(t, async () => new Response('{}', { status: 200 }));
+
+        const { status, body } = await get('/api/health/ready');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+        assert.equal(body.dependencies.storage.status, 'ok');
+        assert.equal(body.dependencies['llm:groq'].status, 'ok');
+        assert.deepEqual(body.openCircuits, []);
+    });
+
+    it('is unavailable when the default provider fails', async (t) => {
+        mockProbe(t, async () => new Response('{}', { status: 401 }));
+
+        const { status, body } = await get('/api/health/ready');
+
+        assert.equal(status, 503);
+        assert.equal(body.status, 'unavailable');
+        assert.equal(body.dependencies['llm:groq'].error, 'HTTP 401');
+    });
+
+    it('reports probe timeouts', async (t) => {
+        mockProbe(t, async () => {
+            throw new DOMException('The operation timed out', 'TimeoutError');
+        });
+
+        const { body } = await get('/api/health/ready');
+
+        assert.equal(body.dependencies['llm:groq'].error, 'Timed out');
+    });
+
+    it('is unavailable when DATA_DIR cannot be written', async (t) => {
+        mockProbe(t, async () => new Response('{}', { status: 200 }));
+        const file = path.join(process.env.DATA_DIR, 'not-a-directory');
+        fs.writeFileSync(file, '');
+
+        CONFIG.DATA_DIR = path.join(file, 'data');
+        try {
+            const { status, body } = await get('/api/health/ready');
+            assert.equal(status, 503);
+            assert.equal(body.dependencies.storage.status, 'fail');
+        } finally {
+            CONFIG.DATA_DIR = process.env.DATA_DIR;
+        }
+    });
+
+    it('is degraded while a model circuit is open', async (t) => {
+        mockProbe(t, async () => new Response('{}', { status: 200 }));
+        for (let i = 0; i < CONFIG.CIRCUIT_FAILURE_THRESHOLD; i++) {
+            CircuitBreaker.failure('groq/llama-3.3-70b-versatile');
+        }
+
+        const { status, body } = await get('/api/health/ready');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'degraded');
+        assert.deepEqual(body.openCircuits, ['groq/llama-3.3-70b-versatile']);
+    });
+
+    it('probes each provider at most once per TTL, sharing in-flight probes', async (t) => {
+        const probe = mockProbe(t, async () => new Response('{}', { status: 200 }));
+
+        await Promise.all([get('/api/health/ready'), get('/api/health/ready')]);
+        await get('/api/health');
+
+        assert.equal(probe.mock.callCount(), 1);
+    });
+});
+
+describe('/api/health/live', () => {
+    it('answers without running checks, reporting the last results', async (t) => {
+        const probe = mockProbe(t, async () => new Response('{}', { status: 200 }));
+
+        const first = await get('/api/health/live');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.status, 'ok');
+        assert.deepEqual(first.body.dependencies, {});
+        assert.equal(probe.mock.callCount(), 0);
+
+        await get('/api/health/ready');
+        const second = await get('/api/health/live');
+        assert.equal(second.body.dependencies['llm:groq'].status, 'ok');
+    });
+});
+
+describe('/api/health', () => {
+    it('adds the configuration the chat UI shows', async (t) => {
+        mockProbe(t, async () => new Response('{}', { status: 200 }));
+
+        const { body } = await get('/api/health');
+
+        assert.equal(body.status, 'ok');
+        assert.equal(body.provider, 'groq');
+        assert.equal(body.apiConfigured, true);
+        assert.deepEqual(body.providers, ['groq']);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.KNOWLEDGE_DIR = path.join(process.env.DATA_DIR, 'knowledge');
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const { KnowledgeBase, CONFIG } = require('../server');
+
+before(() => {
+    fs.mkdirSync(path.join(CONFIG.KNOWLEDGE_DIR, 'services'), { recursive: true });
+    fs.writeFileSync(path.join(CONFIG.KNOWLEDGE_DIR, 'pricing.md'), [
+        '# Pricing',
+        '',
+        '## Consulting packages',
+        '',
+        'The starter automation package costs 5,000 EUR per month.',
+        '',
+        '## Support',
+        '',
+        'Support contracts are billed yearly.',
+    ].join('\n'));
+    fs.writeFileSync(path.join(CONFIG.KNOWLEDGE_DIR, 'services', 'training.md'), [
+        '# Training Programs',
+        '',
+        'Workshops teach teams to build chatbots and document pipelines.',
+    ].join('\n'));
+    KnowledgeBase.load();
+});
+
+after(() => fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true }));
+
+describe('KnowledgeBase', () => {
+    it('indexes heading-scoped passages from nested documents', () => {
+        assert.deepEqual(KnowledgeBase.documents.map(d => d.id), ['pricing', 'services/training']);
+        assert.deepEqual(KnowledgeBase.chunks.map(c => c.heading), ['Consulting packages', 'Support', 'Training Programs']);
+        assert.match(KnowledgeBase.version, /^[0-9a-f]{12}$/);
+    });
+
+    it('ranks the passage that matches the query first', () => {
+        const [best] = KnowledgeBase.search('how much does the automation package cost');
+        assert.equal(best.chunk.heading, 'Consulting packages');
+        assert.deepEqual(KnowledgeBase.search('quantum entanglement'), []);
+    });
+
+    it('cites matching documents in the system prompt', () => {
+        const context = KnowledgeBase.buildContext([{ role: 'user', content: 'Do you run chatbot workshops for teams?' }]);
+        assert.deepEqual(context.sources.map(s => s.id), ['services/training']);
+        assert.match(context.prompt, /\[1\] Training Programs > Training Programs\nWorkshops teach/);
+    });
+
+    it('borrows the previous user turn for short follow-ups', () => {
+        const context = KnowledgeBase.buildContext([
+            { role: 'user', content: 'Tell me about your automation consulting packages' },
+            { role: 'assistant', content: 'We offer several.' },
+            { role: 'user', content: 'how much?' },
+        ]);
+        assert.equal(context.sources[0].id, 'pricing');
+    });
+
+    it('says so when nothing matches', () => {
+        const context = KnowledgeBase.buildContext([{ role: 'user', content: 'quantum entanglement' }]);
+        assert.deepEqual(context.sources, []);
+        assert.match(context.prompt, /No matching documents/);
+    });
+});
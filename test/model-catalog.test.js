@@ -0,0 +1,70 @@
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const { ModelCatalog, ProviderRegistry, CONFIG } = require('../server');
+
+after(() => fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true }));
+
+const groq = ProviderRegistry.get('groq');
+
+describe('ModelCatalog', () => {
+    afterEach(() => {
+        ModelCatalog.entries = [];
+        ModelCatalog.updatedAt = 0;
+        CONFIG.MODEL_ALLOWLIST = undefined;
+    });
+
+    it('limits the catalog to MODEL_ALLOWLIST and flags models upstream no longer lists', async (t) => {
+        CONFIG.MODEL_ALLOWLIST = 'llama-3.3-70b-versatile,llama-3.1-8b-instant';
+        t.mock.method(groq, 'listModels', async () => [
+            { id: 'llama-3.3-70b-versatile', context_window: 131072 },
+            { id: 'whisper-large-v3' },
+        ]);
+
+        const entries = await ModelCatalog.refresh();
+
+        assert.deepEqual(entries.map(entry => [entry.id, entry.available]), [
+            ['llama-3.3-70b-versatile', true],
+            ['llama-3.1-8b-instant', false],
+        ]);
+        assert.equal(ModelCatalog.isAllowed('llama-3.3-70b-versatile'), true);
+        assert.equal(ModelCatalog.isAllowed('llama-3.1-8b-instant'), false);
+        assert.equal(ModelCatalog.isAllowed('whisper-large-v3'), false);
+    });
+
+    it('shares one refresh between callers and caches it for MODEL_CATALOG_TTL', async (t) => {
+        const listModels = t.mock.method(groq, 'listModels', async () => [{ id: 'llama-3.3-70b-versatile' }]);
+
+        await Promise.all([ModelCatalog.get(), ModelCatalog.get()]);
+        await ModelCatalog.get();
+
+        assert.equal(listModels.mock.callCount(), 1);
+    });
+
+    it('keeps serving the last catalog when a refresh fails', async (t) => {
+        t.mock.method(groq, 'listModels', async () => [{ id: 'llama-3.3-70b-versatile' }]);
+        const entries = await ModelCatalog.get();
+
+        groq.listModels.mock.mockImplementation(async () => {
+            throw new Error('upstream down');
+        });
+        ModelCatalog.updatedAt = 0;
+
+        assert.equal(await ModelCatalog.get(), entries);
+    });
+
+    it('fails when no provider answers and nothing is cached', async (t) => {
+        t.mock.method(groq, 'listModels', async () => {
+            throw new Error('upstream down');
+        });
+
+        await assert.rejects(ModelCatalog.get(), /Failed to fetch models/);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.LLM_PROVIDER = 'groq';
+process.env.GROQ_API_KEY = 'test-key';
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+process.env.OLLAMA_MODELS = 'llama3.1,qwen2.5';
+delete process.env.AZURE_OPENAI_ENDPOINT;
+
+const { ProviderRegistry, ModelCatalog, CONFIG } = require('../server');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+describe('ProviderRegistry.resolve', () => {
+    afterEach(() => {
+        ModelCatalog.entries = [];
+    });
+
+    it('uses the default provider and model when none is requested', () => {
+        const { provider, model } = ProviderRegistry.resolve();
+        assert.equal(provider.name, 'groq');
+        assert.equal(model, CONFIG.PROVIDERS.groq.defaultModel);
+    });
+
+    it('routes "provider/model" ids to that provider', () => {
+        const { provider, model } = ProviderRegistry.resolve('openai/gpt-4o');
+        assert.equal(provider.name, 'openai');
+        assert.equal(model, 'gpt-4o');
+    });
+
+    it('uses the provider default for a bare "provider/" id', () => {
+        const { provider, model } = ProviderRegistry.resolve('ollama/');
+        assert.equal(provider.name, 'ollama');
+        assert.equal(model, 'llama3.1');
+    });
+
+    it('finds the provider that lists a bare model id', () => {
+        const { provider, model } = ProviderRegistry.resolve('qwen2.5');
+        assert.equal(provider.name, 'ollama');
+        assert.equal(model, 'qwen2.5');
+    });
+
+    it('prefers catalog entries, whose model ids may contain slashes', () => {
+        ModelCatalog.entries = [ModelCatalog.normalize('openai/gpt-oss-120b', 'groq', { id: 'openai/gpt-oss-120b' })];
+
+        const { provider, model } = ProviderRegistry.resolve('openai/gpt-oss-120b');
+        assert.equal(provider.name, 'groq');
+        assert.equal(model, 'openai/gpt-oss-120b');
+    });
+
+    it('falls back to the default provider for unconfigured prefixes and unknown models', () => {
+        const azure = ProviderRegistry.resolve('azure/my-deployment');
+        assert.equal(azure.provider.name, 'groq');
+        assert.equal(azure.model, 'azure/my-deployment');
+
+        const unknown = ProviderRegistry.resolve('some-model');
+        assert.equal(unknown.provider.name, 'groq');
+        assert.equal(unknown.model, 'some-model');
+    });
+});
+
+describe('OpenAI-compatible providers', () => {
+    const captureRequests = (t) => {
+        const requests = [];
+        t.mock.method(global, 'fetch', async (url, init) => {
+            requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+            return new Response('{}');
+        });
+        return requests;
+    };
+
+    it('report which providers are configured', () => {
+        assert.deepEqual(ProviderRegistry.configured().map(provider => provider.name), ['groq', 'openai', 'ollama']);
+        assert.equal(ProviderRegistry.get('azure').isConfigured(), false);
+    });
+
+    it('send bearer auth and ask for usage on streamed completions', async (t) => {
+        const requests = captureRequests(t);
+
+        await ProviderRegistry.get('openai').chat({ model: 'gpt-4o', messages: [], stream: true });
+        await ProviderRegistry.get('openai').chat({ model: 'gpt-4o', messages: [], stream: false });
+
+        assert.equal(requests[0].url, 'https://api.openai.com/v1/chat/completions');
+        assert.equal(requests[0].headers.Authorization, 'Bearer test-key');
+        assert.equal(requests[0].body.model, 'gpt-4o');
+        assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+        assert.equal(requests[1].body.stream_options, undefined);
+    });
+
+    it('apply provider body tweaks', async (t) => {
+        const requests = captureRequests(t);
+
+        await ProviderRegistry.get('ollama').chat({ model: 'llama3.1', messages: [], top_p: 1 });
+
+        assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+        assert.equal(requests[0].headers.Authorization, undefined);
+        assert.equal('top_p' in requests[0].body, false);
+    });
+
+    it('list configured models without calling the API', async () => {
+        const models = await ProviderRegistry.get('ollama').listModels();
+        assert.deepEqual(models.map(model => model.id), ['llama3.1', 'qwen2.5']);
+    });
+});
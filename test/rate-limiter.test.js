@@ -0,0 +1,193 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const { RateLimiter, CONFIG, parseTrustProxy } = require('../server');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+beforeEach(() => {
+    RateLimiter.windows.clear();
+    RateLimiter.tokenBudgets.clear();
+});
+
+const mockRequest = (overrides = {}) => ({
+    ip: '203.0.113.7',
+    path: '/api/chat',
+    headers: {},
+    get(name) {
+        return this.headers[name.toLowerCase()];
+    },
+    ...overrides,
+});
+
+const mockResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+        this.headers[name] = value;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+// Runs the middleware and reports whether it let the request through
+const run = (middleware, req, res = mockResponse()) => {
+    let passed = false;
+    middleware(req, res, () => {
+        passed = true;
+    });
+    return { passed, res };
+};
+
+describe('RateLimiter.hit', () => {
+    it('allows up to the limit within a window', () => {
+        const results = [1, 2, 3, 4].map(() => RateLimiter.hit('test', 3, 60000));
+
+        assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+        assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    });
+
+    it('starts a new window once the old one has passed', (t) => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+        RateLimiter.hit('test', 1, 1000);
+        assert.equal(RateLimiter.hit('test', 1, 1000).allowed, false);
+
+        Date.now.mock.mockImplementation(() => now + 1000);
+        assert.equal(RateLimiter.hit('test', 1, 1000).allowed, true);
+    });
+
+    it('counts keys separately', () => {
+        RateLimiter.hit('a', 1, 60000);
+        assert.equal(RateLimiter.hit('b', 1, 60000).allowed, true);
+    });
+});
+
+describe('RateLimiter token budgets', () => {
+    it('accumulates usage until the next UTC midnight', () => {
+        RateLimiter.consumeTokens('ip:203.0.113.7', { total_tokens: 100 });
+        RateLimiter.consumeTokens('ip:203.0.113.7', { prompt_tokens: 20, completion_tokens: 5 });
+
+        const budget = RateLimiter.getTokenBudget('ip:203.0.113.7');
+        assert.equal(budget.used, 125);
+        assert.equal(new Date(budget.resetAt).getUTCHours(), 0);
+        assert.ok(budget.resetAt > Date.now());
+    });
+
+    it('drops expired windows and budgets on cleanup', (t) => {
+        RateLimiter.hit('test', 1, 1000);
+        RateLimiter.consumeTokens('ip:203.0.113.7', { total_tokens: 1 });
+
+        const later = Date.now() + 2 * 24 * 60 * 60 * 1000;
+        t.mock.method(Date, 'now', () => later);
+        RateLimiter.cleanup();
+
+        assert.equal(RateLimiter.windows.size, 0);
+        assert.equal(RateLimiter.tokenBudgets.size, 0);
+    });
+
+    it('keys guests by IP, signed-in users by account and API keys by key', () => {
+        assert.equal(RateLimiter.usageKey(mockRequest()), 'ip:203.0.113.7');
+        assert.equal(RateLimiter.usageKey(mockRequest({ user: { id: 'u1' } })), 'user:u1');
+        assert.equal(RateLimiter.usageKey(mockRequest({ apiKey: { id: 'k1' } })), 'key:k1');
+    });
+
+    it('charges API key usage to the owning account as well', () => {
+        const req = mockRequest({
+            rateLimitKey: 'key:k1',
+            apiKey: { id: 'k1', userId: 'u1', limits: { requestsPerMinute: 10, dailyTokens: 500 } },
+        });
+
+        assert.deepEqual(RateLimiter.budgetsFor(req), [
+            { key: 'key:k1', limit: 500 },
+            { key: 'user:u1', limit: CONFIG.DAILY_TOKEN_BUDGET },
+        ]);
+
+        RateLimiter.chargeTokens(req, { total_tokens: 40 });
+        assert.equal(RateLimiter.getTokenBudget('key:k1').used, 40);
+        assert.equal(RateLimiter.getTokenBudget('user:u1').used, 40);
+    });
+});
+
+describe('RateLimiter.middleware', () => {
+    it('rejects requests over the per-IP limit with Retry-After', () => {
+        const middleware = RateLimiter.middleware();
+        for (let i = 0; i < CONFIG.RATE_LIMIT_MAX; i++) {
+            assert.equal(run(middleware, mockRequest()).passed, true);
+        }
+
+        const { passed, res } = run(middleware, mockRequest());
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 429);
+        assert.ok(res.headers['Retry-After'] >= 1);
+        assert.equal(res.headers['X-RateLimit-Remaining'], 0);
+    });
+
+    it('applies the tighter per-session limit', () => {
+        const middleware = RateLimiter.middleware();
+        const request = () => mockRequest({ headers: { 'x-session-id': 'session-1' } });
+        for (let i = 0; i < CONFIG.RATE_LIMIT_SESSION_MAX; i++) {
+            run(middleware, request());
+        }
+
+        assert.equal(run(middleware, request()).res.statusCode, 429);
+        assert.equal(run(middleware, mockRequest({ headers: { 'x-session-id': 'session-2' } })).passed, true);
+    });
+
+    it('rejects once the daily token budget is spent', () => {
+        const middleware = RateLimiter.middleware({ trackTokens: true });
+        const first = run(middleware, mockRequest());
+        assert.equal(first.passed, true);
+        assert.equal(first.res.headers['X-RateLimit-Tokens-Remaining'], CONFIG.DAILY_TOKEN_BUDGET);
+
+        RateLimiter.consumeTokens('ip:203.0.113.7', { total_tokens: CONFIG.DAILY_TOKEN_BUDGET });
+        const { passed, res } = run(middleware, mockRequest());
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 429);
+        assert.match(res.body.error, /Daily usage limit/);
+    });
+
+    it('gives API keys their own request window and token budget', () => {
+        const middleware = RateLimiter.middleware({ trackTokens: true });
+        const req = () => mockRequest({ apiKey: { id: 'k2', userId: 'u2', limits: { requestsPerMinute: 2, dailyTokens: 500 } } });
+
+        const first = run(middleware, req());
+        assert.equal(first.res.headers['X-RateLimit-Tokens-Limit'], 500);
+        run(middleware, req());
+        assert.equal(run(middleware, req()).res.statusCode, 429);
+        // Browser traffic from the same IP is unaffected
+        assert.equal(run(middleware, mockRequest()).passed, true);
+    });
+
+    it('stops API keys once their owner has spent the account budget', () => {
+        const middleware = RateLimiter.middleware({ trackTokens: true });
+        const req = () => mockRequest({ apiKey: { id: 'k3', userId: 'u3', limits: { requestsPerMinute: 10, dailyTokens: 500 } } });
+
+        RateLimiter.consumeTokens('user:u3', { total_tokens: CONFIG.DAILY_TOKEN_BUDGET });
+        assert.equal(run(middleware, req()).res.statusCode, 429);
+    });
+});
+
+describe('parseTrustProxy', () => {
+    it('turns hop counts into numbers and true/false into booleans', () => {
+        assert.equal(parseTrustProxy('1'), 1);
+        assert.equal(parseTrustProxy('true'), true);
+        assert.equal(parseTrustProxy('false'), false);
+        assert.equal(parseTrustProxy(undefined), false);
+        assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+process.env.RESPONSE_CACHE_TTL = '60';
+process.env.RESPONSE_CACHE_MAX_ENTRIES = '3';
+
+const { ResponseCache, Stores, CONFIG } = require('../server');
+
+after(() => {
+    Stores.flushAll();
+    fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    ResponseCache.entries.clear();
+    CONFIG.RESPONSE_CACHE_TTL = 60;
+    CONFIG.RESPONSE_CACHE_SIMILARITY = 0;
+});
+
+const ask = (content, options = {}) => ({ messages: [{ role: 'user', content }], ...options });
+const answer = message => ({ message, model: 'llama-3.3-70b-versatile', finishReason: 'stop' });
+
+const cache = (request, message) => ResponseCache.store(ResponseCache.describe(request), answer(message));
+const lookup = request => ResponseCache.lookup(ResponseCache.describe(request));
+
+describe('ResponseCache', () => {
+    it('returns stored replies for the same question', () => {
+        cache(ask('What services do you offer?'), 'Automation and integration.');
+
+        const hit = lookup(ask('What services do you offer?'));
+        assert.equal(hit.entry.message, 'Automation and integration.');
+        assert.equal(hit.similarity, undefined);
+        assert.equal(hit.entry.hits, 1);
+    });
+
+    it('ignores case and whitespace differences', () => {
+        cache(ask('What services do you offer?'), 'Automation and integration.');
+
+        assert.ok(lookup(ask('  what services   do you OFFER? ')));
+    });
+
+    it('keeps replies for different settings apart', () => {
+        cache(ask('What services do you offer?'), 'Automation and integration.');
+
+        assert.equal(lookup(ask('What services do you offer?', { temperature: 1.2 })), null);
+        assert.equal(lookup(ask('What services do you offer?', { model: 'llama-3.1-8b-instant' })), null);
+        assert.equal(lookup(ask('What services do you offer?', { max_tokens: 100 })), null);
+    });
+
+    it('never caches conversations with attachments', () => {
+        const request = { messages: [{ role: 'user', content: 'Summarize this', attachments: [{ id: 'a1' }] }] };
+        assert.equal(ResponseCache.describe(request), null);
+    });
+
+    it('is disabled when the TTL is 0', () => {
+        CONFIG.RESPONSE_CACHE_TTL = 0;
+        assert.equal(ResponseCache.describe(ask('Hello')), null);
+    });
+
+    it('expires entries after the TTL', (t) => {
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+        cache(ask('Hello'), 'Hi!');
+
+        Date.now.mock.mockImplementation(() => now + CONFIG.RESPONSE_CACHE_TTL * 1000 + 1);
+        assert.equal(lookup(ask('Hello')), null);
+    });
+
+    it('evicts the least recently used entry when full', () => {
+        cache(ask('one'), '1');
+        cache(ask('two'), '2');
+        cache(ask('three'), '3');
+        lookup(ask('one'));
+        cache(ask('four'), '4');
+
+        assert.equal(ResponseCache.entries.size, CONFIG.RESPONSE_CACHE_MAX_ENTRIES);
+        assert.equal(lookup(ask('two')), null);
+        assert.ok(lookup(ask('one')));
+    });
+
+    it('matches similar single-turn questions above the similarity threshold', () => {
+        CONFIG.RESPONSE_CACHE_SIMILARITY = 0.7;
+        cache(ask('What are your pricing plans for automation consulting?'), 'Plans start at...');
+
+        const hit = lookup(ask('pricing plans for automation'));
+        assert.equal(hit.entry.message, 'Plans start at...');
+        assert.ok(hit.similarity >= 0.7 && hit.similarity < 1);
+
+        assert.equal(lookup(ask('Where is your office?')), null);
+    });
+
+    it('only matches multi-turn conversations exactly', () => {
+        CONFIG.RESPONSE_CACHE_SIMILARITY = 0.5;
+        const conversation = content => ({
+            messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }, { role: 'user', content }],
+        });
+        cache(conversation('What are your pricing plans?'), 'Plans start at...');
+
+        assert.equal(lookup(conversation('pricing plans')), null);
+        assert.ok(lookup(conversation('What are your pricing plans?')));
+    });
+
+    it('replays a reply as an SSE body', async () => {
+        const body = await ResponseCache.toStream(answer('Cached reply')).text();
+        const events = body.trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+
+        assert.equal(events.at(-1), '[DONE]');
+        assert.equal(JSON.parse(events[0]).choices[0].delta.content, 'Cached reply');
+        assert.equal(JSON.parse(events[1]).choices[0].finish_reason, 'stop');
+    });
+});
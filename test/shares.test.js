@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const app = require('../server');
+const { Stores } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const alice = crypto.randomUUID();
+const bob = crypto.randomUUID();
+
+const request = async (method, url, { clientId = alice, body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': clientId },
+        body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+const transcript = [
+    { role: 'system', content: 'Internal instructions' },
+    { role: 'user', content: 'What does onboarding cost?' },
+    { role: 'assistant', content: 'It starts at 2,000 EUR.', sources: [{ id: 'pricing', title: 'Pricing', file: 'pricing.md' }] },
+];
+
+describe('/api/shares', () => {
+    it('publishes a read-only copy without system prompts or owner details', async () => {
+        const created = await request('POST', '/api/shares', { body: { conversationId: 'chat-1', messages: transcript } });
+        assert.equal(created.status, 201);
+        assert.match(created.body.id, /^[\w-]{24}$/);
+        assert.equal(created.body.url, `/share/${created.body.id}`);
+        assert.equal(created.body.status, 'active');
+        assert.equal(created.body.title, 'What does onboarding cost?');
+
+        const shared = await request('GET', `/api/shares/${created.body.id}`, { clientId: bob });
+        assert.equal(shared.status, 200);
+        assert.equal(shared.headers.get('x-robots-tag'), 'noindex');
+        assert.equal(shared.body.ownerId, undefined);
+        assert.deepEqual(shared.body.messages, [
+            { role: 'user', content: 'What does onboarding cost?' },
+            { role: 'assistant', content: 'It starts at 2,000 EUR.', sources: [{ title: 'Pricing' }] },
+        ]);
+    });
+
+    it('can hide the visitor\'s own messages', async () => {
+        const created = await request('POST', '/api/shares', { body: { messages: transcript, hideUserMessages: true } });
+        const shared = await request('GET', `/api/shares/${created.body.id}`);
+        assert.deepEqual(shared.body.messages.map(msg => msg.role), ['assistant']);
+    });
+
+    it('stops serving a link once it expires', async (t) => {
+        const created = await request('POST', '/api/shares', { body: { messages: transcript, expiresIn: 60 } });
+        assert.equal((await request('GET', `/api/shares/${created.body.id}`)).status, 200);
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 61 * 1000);
+
+        const expired = await request('GET', `/api/shares/${created.body.id}`);
+        assert.equal(expired.status, 410);
+        assert.match(expired.body.error, /expired/);
+
+        const listed = await request('GET', '/api/shares');
+        assert.equal(listed.body.shares.find(share => share.id === created.body.id).status, 'expired');
+    });
+
+    it('lets only the owner revoke a link, which then reports it as removed', async () => {
+        const created = await request('POST', '/api/shares', { body: { conversationId: 'chat-2', messages: transcript } });
+        const url = `/api/shares/${created.body.id}`;
+
+        assert.equal((await request('DELETE', url, { clientId: bob })).status, 404);
+        assert.equal((await request('DELETE', url)).status, 204);
+
+        const revoked = await request('GET', url);
+        assert.equal(revoked.status, 410);
+        assert.match(revoked.body.error, /removed by its owner/);
+        assert.deepEqual(Stores.shares.get(created.body.id).messages, []);
+
+        const listed = await request('GET', '/api/shares?conversationId=chat-2');
+        assert.deepEqual(listed.body.shares.map(share => share.status), ['revoked']);
+    });
+
+    it('answers 404 for unknown or malformed ids', async () => {
+        assert.equal((await request('GET', `/api/shares/${'a'.repeat(24)}`)).status, 404);
+        assert.equal((await request('GET', '/api/shares/short')).status, 404);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+
+const { SSE, CONFIG } = require('../server');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const mockResponse = () => ({
+    headers: {},
+    chunks: [],
+    writableEnded: false,
+    destroyed: false,
+    setHeader(name, value) {
+        this.headers[name] = value;
+    },
+    flushHeaders() {},
+    write(chunk) {
+        this.chunks.push(chunk);
+    },
+    end() {
+        this.writableEnded = true;
+    },
+    text() {
+        return this.chunks.join('');
+    },
+});
+
+/**
+ * Upstream body that sends `chunks` `delayMs` apart, then either ends or, with
+ * `hang`, stays open until `signal` aborts it like a cancelled fetch.
+ */
+const upstream = (chunks, { delayMs = 0, hang = false, signal } = {}) => {
+    const encoder = new TextEncoder();
+    return {
+        body: new ReadableStream({
+            async start(stream) {
+                signal?.addEventListener('abort', () => stream.error(new DOMException('Aborted', 'AbortError')));
+                for (const chunk of chunks) {
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                    if (signal?.aborted) return;
+                    stream.enqueue(encoder.encode(chunk));
+                }
+                if (!hang) stream.close();
+            },
+        }),
+    };
+};
+
+describe('SSE.createParser', () => {
+    it('joins events split across chunks and multi-line data', () => {
+        const events = [];
+        const parser = SSE.createParser((data, event) => events.push([event, data]));
+
+        parser.push('data: {"a":');
+        parser.push('1}\n\nevent: sources\ndata: line one\r\ndata: line two\n');
+        parser.push('\n: comment\n\ndata: tail');
+        parser.end();
+
+        assert.deepEqual(events, [
+            [null, '{"a":1}'],
+            ['sources', 'line one\nline two'],
+            [null, 'tail'],
+        ]);
+    });
+});
+
+describe('SSE.relay', () => {
+    it('re-frames upstream events and ends with [DONE]', async () => {
+        const res = mockResponse();
+        const seen = [];
+
+        await SSE.relay(res, upstream(['data: {"n":1}\n', '\ndata: {"n":2}\n\n']), { onData: data => seen.push(data) });
+
+        assert.equal(res.headers['Content-Type'], 'text/event-stream');
+        assert.equal(res.text(), 'data: {"n":1}\n\ndata: {"n":2}\n\ndata: [DONE]\n\n');
+        assert.deepEqual(seen, ['{"n":1}', '{"n":2}']);
+        assert.equal(res.writableEnded, true);
+        assert.equal(SSE.activeStreams.size, 0);
+    });
+
+    it('sends keep-alive comments while the upstream is slow', async () => {
+        const interval = CONFIG.SSE_HEARTBEAT_INTERVAL;
+        CONFIG.SSE_HEARTBEAT_INTERVAL = 10;
+        const res = mockResponse();
+
+        try {
+            await SSE.relay(res, upstream(['data: {"n":1}\n\n'], { delayMs: 50 }));
+        } finally {
+            CONFIG.SSE_HEARTBEAT_INTERVAL = interval;
+        }
+
+        assert.ok(res.chunks.indexOf(': keep-alive\n\n') >= 0);
+        assert.ok(res.chunks.indexOf(': keep-alive\n\n') < res.chunks.indexOf('data: {"n":1}\n\n'));
+    });
+
+    it('reports an upstream failure as an error event', async () => {
+        const res = mockResponse();
+        const failing = {
+            body: new ReadableStream({
+                start(stream) {
+                    stream.enqueue(new TextEncoder().encode('data: {"n":1}\n\n'));
+                    stream.error(new Error('socket hang up'));
+                },
+            }),
+        };
+
+        await SSE.relay(res, failing, { controller: new AbortController() });
+
+        assert.match(res.text(), /event: error\ndata: \{"error":"The response stream was interrupted/);
+        assert.equal(res.writableEnded, true);
+    });
+});
+
+describe('SSE.drain', () => {
+    it('resolves at once when nothing is streaming', async () => {
+        const startedAt = Date.now();
+        await SSE.drain(1000);
+        assert.ok(Date.now() - startedAt < 100);
+    });
+
+    it('cancels streams still running at the deadline and tells the client why', async () => {
+        const res = mockResponse();
+        const controller = new AbortController();
+        const relay = SSE.relay(res, upstream(['data: {"n":1}\n\n'], { hang: true, signal: controller.signal }), { controller });
+
+        await SSE.drain(50);
+        await relay;
+
+        assert.equal(controller.signal.aborted, true);
+        assert.match(res.text(), /event: error\ndata: \{"error":"The server is restarting/);
+        assert.equal(SSE.activeStreams.size, 0);
+    });
+});
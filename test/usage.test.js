@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.GROQ_API_KEY = 'test-key';
+process.env.ADMIN_TOKEN = 'admin-secret';
+
+const app = require('../server');
+const { Usage, GroqClient, RateLimiter, ResponseCache, TokenEstimator, Stores } = app;
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+    Stores.usage.all().forEach(row => Stores.usage.delete(row.id));
+    RateLimiter.tokenBudgets.clear();
+    ResponseCache.entries.clear();
+});
+
+after(() => {
+    server.close();
+    Stores.flushAll();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const guest = { rateLimitKey: 'ip:203.0.113.7', user: null, apiKey: null };
+const usage = (prompt, completion) => ({ prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion });
+
+// An upstream SSE body; `fail` errors the stream after the chunks instead of ending it
+const sseResponse = (events, { fail = false } = {}) => {
+    const chunks = events.map(event => `data: ${JSON.stringify(event)}\n\n`);
+    if (!fail) chunks.push('data: [DONE]\n\n');
+
+    return new Response(new ReadableStream({
+        pull(stream) {
+            if (chunks.length > 0) {
+                stream.enqueue(new TextEncoder().encode(chunks.shift()));
+            } else if (fail) {
+                stream.error(new Error('upstream reset'));
+            } else {
+                stream.close();
+            }
+        },
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const chat = async body => (await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages: [{ role: 'user', content: 'Tell me about your services' }], ...body }),
+})).text();
+
+describe('Usage.record', () => {
+    it('folds completions into daily rows and charges the caller', () => {
+        Usage.record(guest, { model: 'llama-3.3-70b-versatile', usage: usage(1000, 500), startedAt: Date.now() - 200 });
+        Usage.record(guest, { model: 'llama-3.3-70b-versatile', usage: usage(1000, 500), startedAt: Date.now() - 400 });
+        Usage.record(guest, { model: 'unpriced-model', usage: usage(10, 10) });
+
+        const rows = Stores.usage.all();
+        assert.equal(rows.length, 2);
+
+        const priced = rows.find(row => row.model === 'llama-3.3-70b-versatile');
+        assert.equal(priced.date, Usage.dateKey(Date.now()));
+        assert.equal(priced.requests, 2);
+        assert.equal(priced.totalTokens, 3000);
+        assert.equal(priced.cost.toFixed(6), ((2 * (1000 * 0.59 + 500 * 0.79)) / 1e6).toFixed(6));
+        assert.equal(priced.timedRequests, 2);
+
+        assert.equal(rows.find(row => row.model === 'unpriced-model').unpricedRequests, 1);
+        assert.equal(RateLimiter.getTokenBudget('ip:203.0.113.7').used, 3020);
+    });
+
+    it('ignores completions without token counts', () => {
+        assert.equal(Usage.record(guest, { model: 'llama-3.3-70b-versatile', usage: null }), null);
+        assert.equal(Stores.usage.all().length, 0);
+    });
+
+    it('folds legacy per-completion records into daily rows', () => {
+        const timestamp = Date.parse('2026-01-15T12:00:00Z');
+        ['a', 'b'].forEach(id => Stores.usage.set(id, {
+            id,
+            timestamp,
+            kind: 'chat',
+            model: 'llama-3.1-8b-instant',
+            stream: false,
+            promptTokens: 10,
+            completionTokens: 5,
+            totalTokens: 15,
+            latencyMs: 100,
+            cost: 0.000001,
+            userId: null,
+            apiKeyId: null,
+        }));
+
+        Usage.compact();
+
+        const [row] = Stores.usage.all();
+        assert.equal(Stores.usage.all().length, 1);
+        assert.equal(row.date, '2026-01-15');
+        assert.equal(row.requests, 2);
+        assert.equal(row.totalTokens, 30);
+    });
+});
+
+describe('/api/usage', () => {
+    const report = query => fetch(`${baseUrl}/api/usage${query}`, { headers: { Authorization: 'Bearer admin-secret' } });
+
+    it('reports totals by day, model and user within the date range', async () => {
+        Usage.record(guest, { model: 'llama-3.3-70b-versatile', usage: usage(100, 50), startedAt: Date.now() - 100 });
+        Usage.record({ ...guest, user: { id: 'u1' } }, { model: 'llama-3.1-8b-instant', usage: usage(10, 5), startedAt: Date.now() - 300 });
+
+        const today = Usage.dateKey(Date.now());
+        const body = await (await report(`?from=${today}&to=${today}`)).json();
+        assert.equal(body.totals.requests, 2);
+        assert.equal(body.totals.totalTokens, 165);
+        assert.equal(body.totals.avgLatencyMs >= 100, true);
+        assert.deepEqual(body.byDay.map(day => day.key), [today]);
+        assert.deepEqual(body.byModel.map(model => model.key), ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant']);
+        assert.deepEqual(body.byUser.map(user => user.key).sort(), ['guest', 'u1']);
+
+        const guestOnly = await (await report('?userId=guest')).json();
+        assert.equal(guestOnly.totals.requests, 1);
+
+        const earlier = await (await report('?from=2020-01-01&to=2020-01-31')).json();
+        assert.equal(earlier.totals.requests, 0);
+    });
+
+    it('needs the admin token and valid dates', async () => {
+        assert.equal((await fetch(`${baseUrl}/api/usage`)).status, 401);
+        assert.equal((await report('?from=yesterday')).status, 400);
+    });
+});
+
+describe('/api/chat usage accounting', () => {
+    it('records a streamed reply once, from its usage chunk', async (t) => {
+        t.mock.method(GroqClient, 'sendRequest', async () => sseResponse([
+            { model: 'llama-3.3-70b-versatile', choices: [{ delta: { content: 'We build automations.' } }] },
+            { model: 'llama-3.3-70b-versatile', choices: [{ delta: {}, finish_reason: 'stop' }], x_groq: { usage: usage(120, 8) } },
+        ]));
+
+        await chat({ stream: true });
+
+        const rows = Stores.usage.all();
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].requests, 1);
+        assert.equal(rows[0].stream, true);
+        assert.equal(rows[0].totalTokens, 128);
+    });
+
+    it('charges an estimate when a stream ends before reporting usage', async (t) => {
+        t.mock.method(GroqClient, 'sendRequest', async () => sseResponse([
+            { model: 'llama-3.3-70b-versatile', choices: [{ delta: { content: 'We build' } }] },
+        ], { fail: true }));
+
+        const text = await chat({ stream: true });
+        assert.match(text, /event: error/);
+
+        const [row] = Stores.usage.all();
+        assert.equal(row.requests, 1);
+        assert.equal(row.completionTokens, TokenEstimator.estimate('We build', 'llama-3.3-70b-versatile'));
+        assert.ok(row.promptTokens > 0);
+        assert.deepEqual([...RateLimiter.tokenBudgets.values()].map(entry => entry.used), [row.totalTokens]);
+    });
+
+    it('records non-streamed replies', async (t) => {
+        t.mock.method(GroqClient, 'sendRequest', async () => Response.json({
+            model: 'llama-3.3-70b-versatile',
+            choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+            usage: usage(50, 2),
+        }));
+
+        await chat({ stream: false });
+
+        const [row] = Stores.usage.all();
+        assert.equal(row.stream, false);
+        assert.equal(row.totalTokens, 52);
+    });
+});